@@ -0,0 +1,266 @@
+// Full-text search over the index written by scripts/lib/search-index.js.
+// Runs the /search/ page and highlights ?q= matches on person pages.
+(() => {
+  'use strict';
+
+  const PAGE_SIZE = 20;
+  const MAX_PREFIX_TERMS = 50;
+  const PREFIX_DISCOUNT = 0.5;
+  const STOPWORDS = new Set((
+    'a an and are as at be but by for from had has have he her his i if in into is it its ' +
+    'me my of on or our she so than that the their them then there they this to was we ' +
+    'were what when which who will with you your'
+  ).split(' '));
+
+  const getJSON = url => fetch(url).then(response => {
+    if (!response.ok) throw new Error(`${url}: ${response.status}`);
+    return response.json();
+  });
+
+  // must stay in sync with tokenize() in scripts/lib/search-index.js
+  function tokenize(text) {
+    return text
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/['\u2018\u2019]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(t => t && !STOPWORDS.has(t));
+  }
+
+  function queryParam(name) {
+    return new URLSearchParams(window.location.search).get(name) || '';
+  }
+
+  function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
+  // Returns a function mapping a single word to the query term it matches,
+  // or null. The last query term also matches as a prefix, for
+  // search-as-you-type.
+  function wordMatcher(terms) {
+    const last = terms[terms.length - 1];
+    return word => {
+      const token = tokenize(word)[0];
+      if (!token) return null;
+      if (terms.includes(token)) return token;
+      return token.startsWith(last) ? last : null;
+    };
+  }
+
+  // Wraps matching words in <mark>, escaping everything else.
+  function highlight(text, matchTerm) {
+    return text.split(/([^\s.,;:!?()"“”]+)/).map((part, idx) => {
+      const escaped = escapeHtml(part);
+      return idx % 2 && matchTerm(part) ? `<mark>${escaped}</mark>` : escaped;
+    }).join('');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ranking
+  // ---------------------------------------------------------------------------
+
+  function search(index, terms) {
+    const docCount = index.docs.length;
+    let scores = null;
+
+    terms.forEach((term, termIdx) => {
+      let expanded = [term];
+      if (termIdx === terms.length - 1) {
+        expanded = Object.keys(index.terms).filter(key => key.startsWith(term)).slice(0, MAX_PREFIX_TERMS);
+      }
+
+      // a document scores its best expansion; words that only share the
+      // prefix count for less than the word itself
+      const termScores = {};
+      expanded.forEach(key => {
+        const postings = index.terms[key];
+        if (!postings) return;
+        const df = postings.length / 2;
+        const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+        const boost = key === term ? 1 : PREFIX_DISCOUNT;
+        for (let i = 0; i < postings.length; i += 2) {
+          termScores[postings[i]] = Math.max(termScores[postings[i]] || 0, postings[i + 1] * idf * boost);
+        }
+      });
+
+      // every query term has to match somewhere in the interview
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        Object.keys(scores).forEach(doc => {
+          if (termScores[doc] === undefined) {
+            delete scores[doc];
+          } else {
+            scores[doc] += termScores[doc];
+          }
+        });
+      }
+    });
+
+    return Object.keys(scores || {})
+      .map(doc => ({ doc: index.docs[doc], score: scores[doc] }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Pick the paragraph matching the most distinct query terms (then the most
+  // matching words) and cut a snippet around the first match. Falls back to the
+  // abstract for name/role-only matches.
+  function snippet(shard, matchTerm) {
+    let best = { score: 0, paragraph: -1, text: shard.abstract };
+
+    shard.paragraphs.forEach((text, idx) => {
+      const matched = text.split(/\s+/).map(matchTerm).filter(Boolean);
+      const score = new Set(matched).size * 1000 + matched.length;
+      if (score > best.score) best = { score, paragraph: idx, text };
+    });
+
+    const words = best.text.split(/\s+/);
+    const first = Math.max(0, words.findIndex(word => matchTerm(word)));
+    const start = Math.max(0, first - 12);
+    const end = Math.min(words.length, first + 28);
+    const text = words.slice(start, end).join(' ');
+
+    return {
+      paragraph: best.paragraph,
+      html: (start > 0 ? '&hellip; ' : '') + highlight(text, matchTerm) + (end < words.length ? ' &hellip;' : ''),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Search page
+  // ---------------------------------------------------------------------------
+
+  const results = document.querySelector('.search-results');
+
+  if (results) {
+    const input = document.getElementById('search-page-query');
+    const status = document.querySelector('.search-status');
+    const more = document.createElement('button');
+    let searchIndex = null;
+    let current = { query: '', terms: [], results: [], shown: 0 };
+    let debounce = null;
+
+    more.type = 'button';
+    more.className = 'search-more';
+    more.textContent = 'Show more';
+    more.hidden = true;
+    results.after(more);
+
+    const element = (tag, className, text) => {
+      const elem = document.createElement(tag);
+      if (className) elem.className = className;
+      if (text !== undefined) elem.textContent = text;
+      return elem;
+    };
+
+    const renderMore = () => {
+      const matchTerm = wordMatcher(current.terms);
+      const query = current.query;
+      const batch = current.results.slice(current.shown, current.shown + PAGE_SIZE);
+      current.shown += batch.length;
+
+      batch.forEach(({ doc }) => {
+        const link = element('a', 'techie-thumbnail');
+        link.href = `/${doc.slug}/?q=${encodeURIComponent(query)}`;
+        const img = element('img');
+        img.alt = '';
+        img.loading = 'lazy';
+        img.src = `/d1lhy388c2xgxf/thumbnails/${doc.thumbnail}`;
+        link.append(img, element('p', 'name', doc.name), element('p', 'title', doc.role));
+        const snippetElem = element('p', 'snippet');
+        const item = element('li', 'search-result');
+        item.append(link, snippetElem);
+        results.append(item);
+
+        getJSON(`/data/search/${doc.slug}.json`).then(shard => {
+          // a newer query may have replaced these results
+          if (query !== current.query) return;
+          const s = snippet(shard, matchTerm);
+          snippetElem.innerHTML = s.html;
+          if (s.paragraph !== -1) link.href += '&p=' + s.paragraph;
+        });
+      });
+
+      more.hidden = current.shown >= current.results.length;
+    };
+
+    const runSearch = () => {
+      const query = input.value.trim();
+      current = { query, terms: tokenize(query), results: [], shown: 0 };
+      results.textContent = '';
+      history.replaceState(null, '', window.location.pathname + (query ? '?q=' + encodeURIComponent(query) : ''));
+
+      if (!current.terms.length) {
+        status.textContent = query ? 'Try a more specific search.' : '';
+        more.hidden = true;
+        return;
+      }
+
+      current.results = search(searchIndex, current.terms);
+      const count = current.results.length;
+      status.textContent = count
+        ? `${count}${count === 1 ? ' interview matches ' : ' interviews match '}“${query}”`
+        : `No interviews match “${query}”`;
+      renderMore();
+    };
+
+    input.value = queryParam('q');
+    status.textContent = 'Loading search index…';
+
+    getJSON('/data/search-index.json').then(data => {
+      searchIndex = data;
+      runSearch();
+    }).catch(() => {
+      status.textContent = 'Search is unavailable right now.';
+    });
+
+    document.querySelector('.search-form').addEventListener('submit', e => {
+      e.preventDefault();
+      if (searchIndex) runSearch();
+    });
+
+    input.addEventListener('input', () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(() => {
+        if (searchIndex) runSearch();
+      }, 150);
+    });
+
+    more.addEventListener('click', renderMore);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Person page: highlight the words that led here and scroll to them
+  // ---------------------------------------------------------------------------
+
+  const post = document.querySelector('.post');
+  const terms = tokenize(queryParam('q'));
+
+  if (post && terms.length) {
+    const matchTerm = wordMatcher(terms);
+
+    document.querySelectorAll('.abstract, .post').forEach(root => {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      const nodes = [];
+      while (walker.nextNode()) {
+        if (walker.currentNode.nodeValue.trim()) nodes.push(walker.currentNode);
+      }
+      nodes.forEach(node => {
+        const html = highlight(node.nodeValue, matchTerm);
+        if (!html.includes('<mark>')) return;
+        const span = document.createElement('span');
+        span.innerHTML = html;
+        node.replaceWith(...span.childNodes);
+      });
+    });
+
+    const paragraph = parseInt(queryParam('p'), 10);
+    const paragraphElem = isNaN(paragraph) ? null : post.querySelectorAll('p')[paragraph];
+    const target = (paragraphElem && paragraphElem.querySelector('mark')) || document.querySelector('mark');
+    if (target) {
+      window.scrollTo(0, target.getBoundingClientRect().top + window.pageYOffset - 100);
+    }
+  }
+})();
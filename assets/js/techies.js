@@ -1,257 +1,576 @@
-jQuery(function(){
-var $ = jQuery;
-var $siteContent = $('.site-content');
-var $cat_links = $('.cat-item a');
-
-console.log('loading');
-
-  $('.categories-list').on('click', function(e) {
-    $(this).toggleClass('active-list');
+// Site behaviour: lazy images, the category filter and homepage gallery
+// controls, person page navigation, the quote of the day, the about page
+// carousel and the submit form's checks. No dependencies; loaded with
+// `defer`, so the document is parsed by the time this runs.
+(() => {
+  'use strict';
+
+  const $ = (selector, root = document) => root.querySelector(selector);
+  const $$ = (selector, root = document) => Array.from(root.querySelectorAll(selector));
+
+  const getJSON = url => fetch(url).then(response => {
+    if (!response.ok) throw new Error(`${url}: ${response.status}`);
+    return response.json();
   });
 
-  $cat_links.on('click', function (e) {
-    e.preventDefault();
-    $el = $(this);
-    // toggle active on click of category
-    $el.toggleClass('active');
-    // get all current active categories
-    var activeCats = $('.active');
-
-    // iterate through all current active tags and load them
-    if (activeCats.length === 0) {
-      // load all
-      $siteContent.load('/' + " .site-content", function(){});
-    } else {
-      // get categories to query
-      var categories = [];
-      // load chosen categories
-      $.each(activeCats, function (idx, elem) {
-        categories.push($(elem).parent().attr("id"));
-      }); 
-
-      // create path to query
-      var path = 'category/' + categories.join('+');
-
-      // get content from query
-      $.get(path, function (data) {
-        var newPosts = $(data).find('.site-content');
-        // get current posts
-        var oldPosts = $('.techie-gallery');
-
-        // remove old posts
-        oldPosts.each(function(idx, elem) {
-          var post = $(elem).attr('id');
-          var postId = '#' + post;
-          var found = newPosts.find(postId).length;
-          if (!found) {
-            // console.log('removing ', postId);
-            $(elem).remove();
-          }
-        });
-
-        // add new posts
-        newPosts.find('.techie-gallery').each(function(idx, elem) {
-          var post = $(elem).attr('id');
-          var postId = '#' + post;
-          if (!$(postId).length) {
-            $('.site-content').append(elem);
-            // console.log('adding ', postId);
-          }
-        });
+  const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+  // ---------------------------------------------------------------------------
+  // Lazy images
+  // ---------------------------------------------------------------------------
+
+  // The build renders thumbnails with a placeholder src and the real one in
+  // data-src (plus a <noscript> copy). Browsers with native lazy loading get
+  // the real src right away and defer it themselves; the rest load each
+  // image as it comes near the viewport.
+  function loadImage(img) {
+    if (img.dataset.srcset) img.srcset = img.dataset.srcset;
+    img.src = img.dataset.src;
+    delete img.dataset.srcset;
+    delete img.dataset.src;
+  }
+
+  const lazyImages = $$('img[data-src]');
+  if ('loading' in HTMLImageElement.prototype || !('IntersectionObserver' in window)) {
+    lazyImages.forEach(loadImage);
+  } else {
+    const imageObserver = new IntersectionObserver(entries => {
+      entries.filter(entry => entry.isIntersecting).forEach(entry => {
+        imageObserver.unobserve(entry.target);
+        loadImage(entry.target);
       });
+    }, { rootMargin: '300px 0px' });
+    lazyImages.forEach(img => imageObserver.observe(img));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Category filter and gallery controls
+  // ---------------------------------------------------------------------------
+
+  const siteContent = $('.site-content');
+  const catLinks = $$('.cat-item a');
+  const categoriesList = $('.categories-list');
+  const filterToggle = categoriesList && $('.filter', categoriesList);
+  const matchButtons = categoriesList ? $$('.match-toggle button', categoriesList) : [];
+  const filterCount = $('.filter-count');
+  // category pages only list one category's posts, so they hand the
+  // selection over to the homepage instead of filtering in place
+  const pageCategory = categoriesList ? categoriesList.dataset.category : undefined;
+  const filterable = Boolean(siteContent && siteContent.hasAttribute('data-filterable'));
+  // what the count line calls the filtered items: techies, quotes
+  const filterNoun = (siteContent && siteContent.dataset.filterable) || 'techies';
+  // homepage sort & facet controls, driven by data/gallery-index.json
+  const galleryControls = $('.gallery-controls');
+  const reshuffle = galleryControls && $('.reshuffle', galleryControls);
+  // <select>s and date inputs, each setting one field of the selection
+  const controls = {
+    sort: $('#gallery-sort'),
+    years: $('#gallery-years'),
+    origin: $('#gallery-origin'),
+    from: $('#gallery-from'),
+    to: $('#gallery-to'),
+  };
+  let categoryIndex = null;
+  let galleryIndex = null;
+  // set when the indexes can't be fetched; the gallery stays as the server
+  // rendered it and category links go to their pages instead
+  let indexFailed = false;
+  const selection = readSelection();
+
+  function readSelection() {
+    const params = new URLSearchParams(window.location.search);
+    let cats = (params.get('category') || '').split(',').filter(Boolean);
+    if (!cats.length && pageCategory !== undefined) {
+      cats = [pageCategory];
+    }
+    const sort = params.get('sort') || '';
+    const isoDay = /^\d{4}-\d{2}-\d{2}$/;
+    return {
+      categories: cats,
+      match: params.get('match') === 'all' ? 'all' : 'any',
+      sort: /^(name|years|date|shuffle)$/.test(sort) ? sort : '',
+      seed: params.get('seed') || '',
+      years: params.get('years') || '',
+      origin: params.get('origin') || '',
+      // interview date range, inclusive YYYY-MM-DD days
+      from: isoDay.test(params.get('from')) ? params.get('from') : '',
+      to: isoDay.test(params.get('to')) ? params.get('to') : '',
+    };
+  }
+
+  function selectionQuery() {
+    const parts = [];
+    if (selection.categories.length) {
+      parts.push('category=' + selection.categories.map(encodeURIComponent).join(','));
+      if (selection.match === 'all') parts.push('match=all');
+    }
+    if (selection.years) parts.push('years=' + encodeURIComponent(selection.years));
+    if (selection.origin) parts.push('origin=' + encodeURIComponent(selection.origin));
+    if (selection.from) parts.push('from=' + selection.from);
+    if (selection.to) parts.push('to=' + selection.to);
+    if (selection.sort) parts.push('sort=' + selection.sort);
+    if (selection.sort === 'shuffle') parts.push('seed=' + encodeURIComponent(selection.seed));
+    return parts.length ? '?' + parts.join('&') : '';
+  }
+
+  function isFiltered() {
+    return selection.categories.length > 0 || selection.years !== '' || selection.origin !== '' ||
+      selection.from !== '' || selection.to !== '';
+  }
+
+  function setListOpen(open) {
+    categoriesList.classList.toggle('active-list', open);
+    filterToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+  }
+
+  function matches(postCats) {
+    if (!selection.categories.length) return true;
+    const hits = selection.categories.filter(cat => postCats.includes(cat)).length;
+    return selection.match === 'all' ? hits === selection.categories.length : hits > 0;
+  }
+
+  function matchesFacets(postId) {
+    const person = galleryIndex && galleryIndex.people[postId];
+    if (!person) return true;
+    if (selection.years && person.yearsRange !== selection.years) return false;
+    if (selection.origin && !person.origins.includes(selection.origin)) return false;
+    // ISO days compare as strings; undated people drop out of any range
+    if ((selection.from || selection.to) && !person.date) return false;
+    if (selection.from && person.date < selection.from) return false;
+    if (selection.to && person.date > selection.to) return false;
+    return true;
+  }
+
+  // FNV-1a, for the quote of the day and shuffle seeds
+  function hashString(str) {
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 16777619) >>> 0;
     }
-  }); 
-
-  // about page image fade
-  var currentImage = $(".about-gallery img");
-
-  // fix p tag bug
-  jQuery('p:empty').remove();
-
-  // about slider
-  $('.image-slider').blueberry();
-});
-
-
-/*
- * jQuery Blueberry Slider v0.4 BETA
- * http://marktyrrell.com/labs/blueberry/
- *
- * Copyright (C) 2011, Mark Tyrrell <me@marktyrrell.com>
- *
- * This program is free software: you can redistribute it and/or modify
- * it under the terms of the GNU General Public License as published by
- * the Free Software Foundation, either version 3 of the License, or
- * (at your option) any later version.
- *
- * This program is distributed in the hope that it will be useful,
- * but WITHOUT ANY WARRANTY; without even the implied warranty of
- * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
- * GNU General Public License for more details.
- *
- * You should have received a copy of the GNU General Public License
- * along with this program.  If not, see <http://www.gnu.org/licenses/>.
- *
- */
-
-(function($){
-  $.fn.extend({
-    blueberry: function(options) {
-
-      //default values for plugin options
-      var defaults = {
-        interval: 5000,
-        duration: 500,
-        lineheight: 1,
-        height: 'auto', //reserved
-        hoverpause: false,
-        pager: true,
-        nav: true, //reserved
-        keynav: true
+    return hash;
+  }
+
+  // mulberry32: the same seed always gives the same sequence, so a shuffled
+  // gallery can be shared as a link
+  function seededRandom(seed) {
+    let state = hashString(seed);
+    return () => {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  const newSeed = () => Math.random().toString(36).slice(2, 8);
+
+  // descending, with people missing the value last
+  function byDescending(field) {
+    return (a, b) => {
+      const x = galleryIndex.people[a][field];
+      const y = galleryIndex.people[b][field];
+      if (x === null || y === null) return (x === null) - (y === null);
+      return x < y ? 1 : x > y ? -1 : 0;
+    };
+  }
+
+  function sortedPostIds() {
+    const ids = galleryIndex.order.slice();
+    const people = galleryIndex.people;
+    if (selection.sort === 'name') {
+      ids.sort((a, b) => people[a].name.localeCompare(people[b].name));
+    } else if (selection.sort === 'years') {
+      ids.sort(byDescending('years'));
+    } else if (selection.sort === 'date') {
+      ids.sort(byDescending('date'));
+    } else if (selection.sort === 'shuffle') {
+      const random = seededRandom(selection.seed);
+      for (let i = ids.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [ids[i], ids[j]] = [ids[j], ids[i]];
       }
-      var options =  $.extend(defaults, options);
- 
-      return this.each(function() {
-        var o = options;
-        var obj = $(this);
-
-        //store the slide and pager li
-        var slides = $('.slides li', obj);
-        var pager = $('.pager li', obj);
-
-        //set initial current and next slide index values
-        var current = 0;
-        var next = current+1;
-
-        //get height and width of initial slide image and calculate size ratio
-        var imgHeight = slides.eq(current).find('img').height();
-        var imgWidth = slides.eq(current).find('img').width();
-        var imgRatio = imgWidth/imgHeight;
-
-        //define vars for setsize function
-        var sliderWidth = 0;
-        var cropHeight = 0;
-
-        //hide all slides, fade in the first, add active class to first slide
-        slides.hide().eq(current).fadeIn(o.duration).addClass('active');
-        
-
-        //build pager if it doesn't already exist and if enabled
-        if(pager.length) {
-          pager.eq(current).addClass('active');
-        } else if(o.pager){
-          obj.append('<ul class="pager"></ul>');
-          slides.each(function(index) {
-            $('.pager', obj).append('<li><a href="#"><span>'+index+'</span></a></li>')
-          });
-          pager = $('.pager li', obj);
-          pager.eq(current).addClass('active');
-        }
-
-        //rotate to selected slide on pager click
-        if(pager){
-          $('a', pager).click(function() {
-            //stop the timer
-            clearTimeout(obj.play);
-            //set the slide index based on pager index
-            next = $(this).parent().index();
-            //rotate the slides
-            rotate();
-            return false;
-          });
-        }
+    }
+    return ids;
+  }
+
+  function applySort() {
+    sortedPostIds().forEach(postId => {
+      const card = document.getElementById('post-' + postId);
+      if (card) siteContent.appendChild(card);
+    });
+  }
+
+  function applyFilter() {
+    const cards = $$('.techie-gallery, .quote-card', siteContent);
+    let visible = 0;
+
+    if (galleryIndex) applySort();
+
+    cards.forEach(elem => {
+      const postId = elem.dataset.postId || elem.id.replace('post-', '');
+      const show = matches(categoryIndex.posts[postId] || []) && matchesFacets(postId);
+      elem.style.display = show ? '' : 'none';
+      if (show) visible++;
+    });
+
+    filterCount.textContent = isFiltered()
+      ? `Showing ${visible} of ${cards.length} ${filterNoun}`
+      : `Showing all ${cards.length} ${filterNoun}`;
+  }
+
+  function renderSelection() {
+    catLinks.forEach(elem => {
+      const active = selection.categories.includes(elem.parentNode.id);
+      elem.classList.toggle('active', active);
+      elem.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+    matchButtons.forEach(elem => {
+      elem.setAttribute('aria-pressed', elem.dataset.match === selection.match ? 'true' : 'false');
+    });
+    Object.entries(controls).forEach(([field, elem]) => {
+      if (elem) elem.value = selection[field];
+    });
+    if (reshuffle) reshuffle.hidden = selection.sort !== 'shuffle';
+  }
+
+  function update() {
+    renderSelection();
+    if (!filterable) {
+      window.location.href = '/' + selectionQuery();
+      return;
+    }
+    history.replaceState(null, '', window.location.pathname + selectionQuery());
+    if (categoryIndex) applyFilter();
+  }
 
-        //primary function to change slides
-        var rotate = function(){
-          //fade out current slide and remove active class,
-          //fade in next slide and add active class
-          slides.eq(current).fadeOut(o.duration).removeClass('active')
-            .end().eq(next).fadeIn(o.duration).addClass('active').queue(function(){
-              //add rotateTimer function to end of animation queue
-              //this prevents animation buildup caused by requestAnimationFrame
-              //rotateTimer starts a timer for the next rotate
-              rotateTimer();
-              $(this).dequeue()
-          });
-
-          //update pager to reflect slide change
-          if(pager){
-            pager.eq(current).removeClass('active')
-              .end().eq(next).addClass('active');
-          }
-
-          //update current and next vars to reflect slide change
-          //set next as first slide if current is the last
-          current = next;
-          next = current >= slides.length-1 ? 0 : current+1;
-        };
-        //create a timer to control slide rotation interval
-        var rotateTimer = function(){
-          obj.play = setTimeout(function(){
-            //trigger slide rotate function at end of timer
-            rotate();
-          }, o.interval);
-        };
-        //start the timer for the first time
-        rotateTimer();
-
-        //pause the slider on hover
-        //disabled by default due to bug
-        if(o.hoverpause){
-          slides.hover(function(){
-            //stop the timer in mousein
-            clearTimeout(obj.play);
-          }, function(){
-            //start the timer on mouseout
-            rotateTimer();
-          });
-        }
+  if (categoriesList) {
+    const toggleList = () => setListOpen(!categoriesList.classList.contains('active-list'));
 
-        //calculate and set height based on image width/height ratio and specified line height
-        var setsize = function(){
-          sliderWidth = $('.slides', obj).width();
-          cropHeight = Math.floor(((sliderWidth/imgRatio)/o.lineheight))*o.lineheight;
+    filterToggle.addEventListener('click', toggleList);
 
-          $('.slides', obj).css({height: cropHeight});
-        };
-        setsize();
+    filterToggle.addEventListener('keydown', e => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        toggleList();
+      }
+    });
 
-        //bind setsize function to window resize event
-        $(window).resize(function(){
-          setsize();
-        });
-        
-        
+    categoriesList.addEventListener('keydown', e => {
+      if (e.key === 'Escape') {
+        setListOpen(false);
+        filterToggle.focus();
+      }
+    });
 
-        //Add keyboard navigation
+    // keep the list open while keyboard focus is inside it
+    categoriesList.addEventListener('focusin', e => {
+      if (e.target.matches('.cat-item a, .match-toggle button')) setListOpen(true);
+    });
 
-        if(o.keynav){
-          $(document).keyup(function(e){
+    matchButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        selection.match = button.dataset.match;
+        update();
+      });
+    });
 
-            switch (e.which) {
+    $('.match-toggle', categoriesList).removeAttribute('hidden');
+  }
 
-              case 39: case 32: //right arrow & space
+  catLinks.forEach(link => {
+    link.setAttribute('role', 'button');
 
-                clearTimeout(obj.play);
+    link.addEventListener('keydown', e => {
+      // space activates like a button; enter already fires click on links
+      if (e.key === ' ') {
+        e.preventDefault();
+        link.click();
+      }
+    });
+
+    link.addEventListener('click', e => {
+      if (indexFailed) return;
+      e.preventDefault();
+      const cat = link.parentNode.id;
+      const idx = selection.categories.indexOf(cat);
+      if (idx === -1) {
+        selection.categories.push(cat);
+      } else {
+        selection.categories.splice(idx, 1);
+      }
+      update();
+    });
+  });
 
-                rotate();
+  Object.entries(controls).forEach(([field, elem]) => {
+    if (!elem) return;
+    elem.addEventListener('change', () => {
+      selection[field] = elem.value;
+      if (field === 'sort' && selection.sort === 'shuffle' && !selection.seed) selection.seed = newSeed();
+      update();
+    });
+  });
 
-                break;
+  if (reshuffle) {
+    reshuffle.addEventListener('click', () => {
+      selection.seed = newSeed();
+      update();
+    });
+  }
+
+  // a shuffle link without a seed gets one, so the address bar can be shared
+  if (filterable && selection.sort === 'shuffle' && !selection.seed) {
+    selection.seed = newSeed();
+    history.replaceState(null, '', window.location.pathname + selectionQuery());
+  }
+  renderSelection();
+
+  async function loadIndexes() {
+    categoryIndex = await getJSON('/data/category-index.json');
+    // drop unknown slugs from hand-edited or stale URLs
+    selection.categories = selection.categories.filter(cat =>
+      Object.prototype.hasOwnProperty.call(categoryIndex.categories, cat));
+    if (galleryControls) {
+      galleryIndex = await getJSON('/data/gallery-index.json');
+      galleryControls.removeAttribute('hidden');
+    }
+  }
+
+  if (filterable) {
+    loadIndexes().then(() => {
+      renderSelection();
+      applyFilter();
+    }).catch(err => {
+      indexFailed = true;
+      categoryIndex = null;
+      console.error('Category filter unavailable, showing every card:', err);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Person page navigation
+  // ---------------------------------------------------------------------------
+
+  // readers arriving from a category page (or a single-category filter) get
+  // prev/next within that category
+  let personNav = $('.person-nav.site-nav');
+
+  function contextCategory() {
+    const fromUrl = new URLSearchParams(window.location.search).get('category');
+    if (fromUrl) return fromUrl;
+    if (!document.referrer) return null;
+    const referrer = new URL(document.referrer);
+    if (referrer.origin !== window.location.origin) return null;
+    const match = referrer.pathname.match(/^\/category\/([^/]+)\/?$/);
+    if (match) return decodeURIComponent(match[1]);
+    const filtered = (new URLSearchParams(referrer.search).get('category') || '').split(',');
+    return referrer.pathname === '/' && filtered.length === 1 ? filtered[0] || null : null;
+  }
+
+  if (personNav) {
+    const navCategory = contextCategory();
+    const categoryNav = $$('.category-nav').find(nav => nav.dataset.category === navCategory);
+
+    if (categoryNav) {
+      categoryNav.removeAttribute('hidden');
+      $$('a', categoryNav).forEach(link => {
+        link.href = link.pathname + '?category=' + encodeURIComponent(navCategory);
+      });
+      personNav = categoryNav;
+    }
 
+    document.addEventListener('keydown', e => {
+      if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+      if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+      const key = (e.key || '').toLowerCase();
+      const rel = key === 'j' ? 'next' : key === 'k' ? 'prev' : null;
+      const link = rel && $(`a[rel="${rel}"]`, personNav);
+      if (link) {
+        window.location.href = link.getAttribute('href');
+      }
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Quote of the day
+  // ---------------------------------------------------------------------------
+
+  // the build renders the quote for its own date; pick the reader's today
+  // from the same list. dailyIndex() must stay in sync with the copy in
+  // scripts/lib/quotes.js.
+  const quoteOfTheDay = $('[data-quote-of-the-day]');
+
+  function dayKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  const dailyIndex = (day, count) => hashString(day) % count;
+
+  if (quoteOfTheDay) {
+    getJSON('/data/quotes.json').then(data => {
+      if (!data.quotes.length) return;
+      const quote = data.quotes[dailyIndex(dayKey(new Date()), data.quotes.length)];
+      const source = $('.source', quoteOfTheDay);
+      $('.text', quoteOfTheDay).textContent = quote.text;
+      source.href = quote.href;
+      source.textContent = quote.name;
+    }).catch(err => {
+      // the quote the build rendered stays
+      console.error('Quote of the day unavailable, keeping the pre-rendered one:', err);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // About page carousel
+  // ---------------------------------------------------------------------------
+
+  // Autoplay is off when the reader prefers reduced motion, stops while the
+  // carousel is hovered or focused, and the arrow keys only move it when
+  // focus is inside it.
+  const SLIDE_INTERVAL = 5000;
+
+  $$('.image-slider').forEach(slider => {
+    const slides = $$('.slide', slider);
+    const pagerButtons = $$('.pager button', slider);
+    const rotation = $('.slider-rotation', slider);
+    const live = $('.slides', slider);
+    let current = 0;
+    let playing = !reducedMotion;
+    let hovered = false;
+    let focused = false;
+    let timer = null;
+
+    function show(index) {
+      current = (index + slides.length) % slides.length;
+      slides.forEach((slide, i) => slide.classList.toggle('active', i === current));
+      pagerButtons.forEach((button, i) => {
+        if (i === current) {
+          button.setAttribute('aria-current', 'true');
+        } else {
+          button.removeAttribute('aria-current');
+        }
+      });
+    }
 
-              case 37: // left arrow
-                clearTimeout(obj.play);
-                next = current - 1;
-                rotate();
+    // screen readers hear the new slide only when it didn't change by itself
+    function schedule() {
+      const rotating = playing && !hovered && !focused;
+      clearTimeout(timer);
+      timer = rotating ? setTimeout(() => {
+        show(current + 1);
+        schedule();
+      }, SLIDE_INTERVAL) : null;
+      live.setAttribute('aria-live', rotating ? 'off' : 'polite');
+      rotation.textContent = playing ? 'Pause' : 'Play';
+      rotation.setAttribute('aria-label', playing ? 'Pause the slide show' : 'Play the slide show');
+    }
 
-                break;
-            }
+    rotation.addEventListener('click', () => {
+      playing = !playing;
+      schedule();
+    });
+
+    pagerButtons.forEach((button, i) => {
+      button.addEventListener('click', () => show(i));
+    });
+
+    slider.addEventListener('keydown', e => {
+      if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+      e.preventDefault();
+      show(current + (e.key === 'ArrowRight' ? 1 : -1));
+    });
+
+    slider.addEventListener('mouseenter', () => {
+      hovered = true;
+      schedule();
+    });
+
+    slider.addEventListener('mouseleave', () => {
+      hovered = false;
+      schedule();
+    });
+
+    slider.addEventListener('focusin', () => {
+      focused = true;
+      schedule();
+    });
+
+    slider.addEventListener('focusout', e => {
+      focused = slider.contains(e.relatedTarget);
+      schedule();
+    });
+
+    $('.slider-controls', slider).removeAttribute('hidden');
+    show(0);
+    schedule();
+  });
 
-          });
-        }
+  // ---------------------------------------------------------------------------
+  // Submit form
+  // ---------------------------------------------------------------------------
+
+  // The browser checks the required, type, pattern and maxlength attributes
+  // by itself, in pop-up bubbles. Here each field shows its message
+  // underneath instead: once the reader has typed something and moves on,
+  // and for every field on submit, which then goes to the first problem.
+  // The long answers count down their characters.
+  const NEAR_LIMIT = 0.9;
+  const submitForm = $('#ss-form');
+
+  const formatCount = n => n.toLocaleString('en-US');
+
+  function fieldError(field) {
+    if (field.required && !field.value.trim()) return 'This is a required question';
+    if (field.validity.typeMismatch || field.validity.patternMismatch) return field.title;
+    if (field.validity.tooLong) return `Keep this under ${formatCount(field.maxLength)} characters`;
+    return '';
+  }
+
+  // true when the field passes
+  function checkField(field) {
+    const message = fieldError(field);
+    $(`#${field.id}-error`).textContent = message;
+    if (message) {
+      field.setAttribute('aria-invalid', 'true');
+    } else {
+      field.removeAttribute('aria-invalid');
+    }
+    return !message;
+  }
 
+  if (submitForm) {
+    const fields = $$('.techies-ss-q-short, .techies-ss-q-long', submitForm);
+    submitForm.noValidate = true;
 
+    fields.forEach(field => {
+      field.addEventListener('blur', () => {
+        if (field.value || field.hasAttribute('aria-invalid')) checkField(field);
       });
-    }
-  });
-})(jQuery);
+      // clear a message as soon as it's fixed
+      field.addEventListener('input', () => {
+        if (field.hasAttribute('aria-invalid')) checkField(field);
+      });
+    });
+
+    submitForm.addEventListener('submit', e => {
+      const invalid = fields.filter(field => !checkField(field));
+      if (invalid.length) {
+        e.preventDefault();
+        invalid[0].focus();
+      }
+    });
+
+    $$('.techies-char-count', submitForm).forEach(counter => {
+      const field = $(`#${counter.dataset.for}`);
+      const update = () => {
+        const left = field.maxLength - field.value.length;
+        counter.textContent = `${formatCount(left)} of ${formatCount(field.maxLength)} characters left`;
+        counter.classList.toggle('near-limit', field.value.length >= field.maxLength * NEAR_LIMIT);
+      };
+      field.addEventListener('input', update);
+      update();
+    });
+  }
+})();
@@ -2,14 +2,61 @@
 /**
  * build.js — Generates the static site from JSON data + templates.
  * Run: node scripts/build.js
+ *      node scripts/build.js --watch [--port 8888]   (rebuild + dev server)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { validateData } = require('./lib/validate');
+const { loadPeople } = require('./lib/content');
+const { normalizePeople } = require('./lib/normalize');
+const { galleryIndex, groupOrigins } = require('./lib/facets');
+const { worldMap } = require('./lib/world-map');
+const { groupByMonth } = require('./lib/timeline');
+const { formatHumanDate } = require('./lib/dates');
+const { buildSearchIndex } = require('./lib/search-index');
+const { FEED_FILES, renderFeeds } = require('./lib/feeds');
+const {
+  SITE_URL, SITE_TITLE, SITE_DESCRIPTION, PORTRAITS_PATH, THUMBNAILS_PATH, CATEGORIES_PATH,
+} = require('./lib/site');
+const { responsiveImage } = require('./lib/images');
+const { parseInterview } = require('./lib/interview');
+const { dropEmptyParagraphs } = require('./lib/html');
+const { groupQuestions } = require('./lib/questions');
+const { collectQuotes, quoteOfTheDay } = require('./lib/quotes');
+const { createEngine } = require('./lib/template');
+const { PREVIEW_PATH, isListed, isDraft, personPath } = require('./lib/status');
+const {
+  personMeta, categoryMeta, staticPageMeta, homepageMeta, renderSitemap,
+} = require('./lib/seo');
 
 const ROOT = path.join(__dirname, '..');
 const OUTPUT = path.join(ROOT, '_output');
 const SRC = path.join(ROOT, 'src');
+const IMAGES = path.join(ROOT, 'd1lhy388c2xgxf');
+
+// Rendered widths at the Bootstrap breakpoints (container minus gutters)
+const HERO_SIZES = '(min-width: 1200px) 1140px, (min-width: 992px) 940px, (min-width: 768px) 720px, 100vw';
+const CARD_SIZES = '(min-width: 1200px) 263px, (min-width: 992px) 213px, (min-width: 768px) 220px, calc(50vw - 30px)';
+const PHOTO_SIZES = '(min-width: 1200px) 243px, (min-width: 992px) 193px, 100vw';
+const LIST_THUMB_SIZES = '80px';
+
+// ---------------------------------------------------------------------------
+// Watch mode: the dev server runs this script again for every rebuild
+// ---------------------------------------------------------------------------
+
+if (process.argv.includes('--watch')) {
+  const { DEFAULT_PORT, watchAndServe } = require('./lib/dev-server');
+  const portArg = process.argv.indexOf('--port');
+  watchAndServe({
+    buildScript: __filename,
+    outputDir: OUTPUT,
+    watchDirs: [SRC, path.join(ROOT, 'assets'), IMAGES, __dirname],
+    formsFile: path.join(ROOT, '_forms', 'submissions.json'),
+    port: portArg !== -1 ? parseInt(process.argv[portArg + 1], 10) : (parseInt(process.env.PORT, 10) || DEFAULT_PORT),
+  });
+  return;
+}
 
 // ---------------------------------------------------------------------------
 // Utilities
@@ -23,17 +70,17 @@ function copyDirSync(src, dest) {
   fs.cpSync(src, dest, { recursive: true });
 }
 
-function readTemplate(name) {
-  return fs.readFileSync(path.join(SRC, 'templates', name), 'utf8');
+function writeFiles(dir, files) {
+  mkdirp(dir);
+  Object.entries(files).forEach(([name, contents]) => {
+    fs.writeFileSync(path.join(dir, name), contents);
+  });
 }
 
-function render(template, vars) {
-  let result = template;
-  for (const [key, value] of Object.entries(vars)) {
-    // Use split+join for global replace (no regex escaping needed)
-    result = result.split(`{{${key}}}`).join(value);
-  }
-  return result;
+function writePage(urlPath, html) {
+  const dir = path.join(OUTPUT, urlPath);
+  mkdirp(dir);
+  fs.writeFileSync(path.join(dir, 'index.html'), html);
 }
 
 // ---------------------------------------------------------------------------
@@ -41,30 +88,76 @@ function render(template, vars) {
 // ---------------------------------------------------------------------------
 
 console.log('Loading data...');
-const people = JSON.parse(fs.readFileSync(path.join(SRC, 'data', 'people.json'), 'utf8'));
+// people.json, with slug-only entries read from src/content/<slug>.md
+const loaded = loadPeople(SRC);
+const people = loaded.people;
 const categories = JSON.parse(fs.readFileSync(path.join(SRC, 'data', 'categories.json'), 'utf8'));
+const gazetteer = JSON.parse(fs.readFileSync(path.join(SRC, 'data', 'gazetteer.json'), 'utf8'));
+const world = JSON.parse(fs.readFileSync(path.join(SRC, 'data', 'world.json'), 'utf8'));
+
+// ---------------------------------------------------------------------------
+// Validate data
+// ---------------------------------------------------------------------------
+
+console.log('Validating data...');
+const validation = validateData(people, categories, { imageDir: IMAGES });
+validation.errors.unshift(...loaded.errors);
+validation.warnings.forEach(msg => console.warn(`  WARN: ${msg}`));
+validation.errors.forEach(msg => console.error(`  ERROR: ${msg}`));
+if (validation.errors.length) {
+  console.error(`\nBuild aborted: ${validation.errors.length} data error(s) in src/data/ and src/content/`);
+  process.exit(1);
+}
 
-// Build lookup by post_id
+// ---------------------------------------------------------------------------
+// Normalize data: typed years, ISO dates and places next to the display
+// strings (see lib/normalize.js)
+// ---------------------------------------------------------------------------
+
+console.log('Normalizing data...');
+const normalization = normalizePeople(people, gazetteer);
+normalization.warnings.forEach(msg => console.warn(`  WARN: ${msg}`));
+
+// Empty paragraphs in the stored HTML (and the ones `<p><p>` makes browsers
+// create) are dropped here rather than by a script on every page load
+people.forEach(p => {
+  p.abstract = dropEmptyParagraphs(p.abstract);
+  p.interview_content = dropEmptyParagraphs(p.interview_content);
+});
+
+// Every record gets a page, but only published ones are listed anywhere:
+// everything below that lists people uses `listed` (see lib/status.js)
+const listed = people.filter(isListed);
+const drafts = people.filter(isDraft);
+
+// Build lookup by post_id, for category members
 const peopleByPostId = {};
-people.forEach(p => { peopleByPostId[p.post_id] = p; });
+listed.forEach(p => { peopleByPostId[p.post_id] = p; });
+
+// Category display names per person, in categories.json order
+const categoryNamesByPostId = {};
+people.forEach(p => { categoryNamesByPostId[p.post_id] = []; });
+categories.forEach(cat => {
+  cat.post_ids.forEach(id => {
+    if (categoryNamesByPostId[id]) categoryNamesByPostId[id].push(cat.display_name);
+  });
+});
+
+// Netlify _redirects rules, written out at the end of the build
+const redirects = [];
 
 // ---------------------------------------------------------------------------
 // Load templates
 // ---------------------------------------------------------------------------
 
 console.log('Loading templates...');
-const partials = {
-  head: readTemplate('partials/head.html'),
-  nav: readTemplate('partials/nav.html'),
-  footer: readTemplate('partials/footer.html'),
-  scripts: readTemplate('partials/scripts.html'),
-};
+const templates = createEngine(path.join(SRC, 'templates'));
 
-const personTemplate = readTemplate('person.html');
-const homepageTemplate = readTemplate('homepage.html');
-const categoryTemplate = readTemplate('category.html');
-const aboutTemplate = readTemplate('about.html');
-const submitTemplate = readTemplate('submit.html');
+// Every page template pulls in the head/nav/footer/scripts partials; these
+// are the values they read.
+function page(meta, data, nav = {}) {
+  return { meta, nav, categories, ...data };
+}
 
 // ---------------------------------------------------------------------------
 // Clean and create output
@@ -84,180 +177,482 @@ copyDirSync(path.join(ROOT, 'd1lhy388c2xgxf'), path.join(OUTPUT, 'd1lhy388c2xgxf
 fs.copyFileSync(path.join(ROOT, 'favicon.ico'), path.join(OUTPUT, 'favicon.ico'));
 
 // Write a clean robots.txt
-fs.writeFileSync(path.join(OUTPUT, 'robots.txt'), 'User-agent: *\nAllow: /\n');
+fs.writeFileSync(path.join(OUTPUT, 'robots.txt'), `User-agent: *\nAllow: /\n\nSitemap: ${SITE_URL}/sitemap.xml\n`);
 
 // ---------------------------------------------------------------------------
-// Helper: build head with extras
+// Client-side category index (post_id -> category slugs) for the filter
 // ---------------------------------------------------------------------------
 
-function buildHead(headExtra) {
-  return render(partials.head, { HEAD_EXTRA: headExtra || '' });
+console.log('Writing category index...');
+const categoryIndex = { categories: {}, posts: {} };
+listed.forEach(p => { categoryIndex.posts[p.post_id] = []; });
+categories.forEach(cat => {
+  categoryIndex.categories[cat.slug] = cat.display_name;
+  cat.post_ids.forEach(id => {
+    if (categoryIndex.posts[id]) categoryIndex.posts[id].push(cat.slug);
+  });
+});
+
+mkdirp(path.join(OUTPUT, 'data'));
+fs.writeFileSync(path.join(OUTPUT, 'data', 'category-index.json'), JSON.stringify(categoryIndex));
+
+// ---------------------------------------------------------------------------
+// Gallery index: sort keys and facets for the homepage controls
+// ---------------------------------------------------------------------------
+
+console.log('Writing gallery index...');
+const gallery = galleryIndex(listed);
+fs.writeFileSync(path.join(OUTPUT, 'data', 'gallery-index.json'), JSON.stringify(gallery));
+
+// ---------------------------------------------------------------------------
+// Full-text search index + per-person snippet shards
+// ---------------------------------------------------------------------------
+
+console.log('Writing search index...');
+const search = buildSearchIndex(listed);
+fs.writeFileSync(path.join(OUTPUT, 'data', 'search-index.json'), JSON.stringify(search.index));
+
+mkdirp(path.join(OUTPUT, 'data', 'search'));
+Object.entries(search.shards).forEach(([slug, shard]) => {
+  fs.writeFileSync(path.join(OUTPUT, 'data', 'search', `${slug}.json`), JSON.stringify(shard));
+});
+console.log(`  Indexed ${Object.keys(search.index.terms).length} terms`);
+
+// ---------------------------------------------------------------------------
+// Navigation: site-wide prev/next follow people.json order, in-category
+// prev/next follow each category's post_ids order. Unlisted and draft pages
+// get none.
+// ---------------------------------------------------------------------------
+
+// The lists run newest first and, as on the WordPress site, "previous" is
+// the older interview: the one after this in the list
+function neighbours(list, idx) {
+  return { prev: list[idx + 1] || null, next: list[idx - 1] || null };
 }
 
-function buildNav(aboutActive, submitActive) {
-  return render(partials.nav, {
-    ABOUT_ACTIVE: aboutActive ? 'active' : '',
-    SUBMIT_ACTIVE: submitActive ? 'active' : '',
+const siteNav = {};
+people.forEach(p => { siteNav[p.slug] = { prev: null, next: null }; });
+listed.forEach((p, idx) => { siteNav[p.slug] = neighbours(listed, idx); });
+
+const categoryNav = {};
+people.forEach(p => { categoryNav[p.slug] = []; });
+categories.forEach(cat => {
+  const members = cat.post_ids.map(id => peopleByPostId[id]).filter(Boolean);
+  members.forEach((p, idx) => {
+    categoryNav[p.slug].push({ cat, ...neighbours(members, idx) });
   });
+});
+
+// ---------------------------------------------------------------------------
+// Images: real dimensions and srcset from the variants on disk
+// ---------------------------------------------------------------------------
+
+// Alt text for the portraits on person pages. Cards and lists leave it empty:
+// the name and role are already the link text next to the image.
+function portraitAlt(person) {
+  return person.role ? `Portrait of ${person.name}, ${person.role}` : `Portrait of ${person.name}`;
+}
+
+const heroImages = {};
+const thumbnailImages = {};
+// A draft may not have its portraits yet; its page goes without
+people.forEach(p => {
+  heroImages[p.slug] = p.hero_image
+    ? responsiveImage(path.join(IMAGES, 'portraits'), PORTRAITS_PATH, p.hero_image, HERO_SIZES)
+    : null;
+  thumbnailImages[p.slug] = p.thumbnail
+    ? responsiveImage(path.join(IMAGES, 'thumbnails'), THUMBNAILS_PATH, p.thumbnail, CARD_SIZES)
+    : null;
+});
+
+// Gallery cards on the homepage and category pages
+function cards(list) {
+  return list.map(person => ({ person, image: thumbnailImages[person.slug] }));
+}
+
+// focal_point is { x, y } in percent; narrow screens crop the hero around it
+function focalPoint(person) {
+  return person.focal_point ? `${person.focal_point.x}% ${person.focal_point.y}%` : null;
 }
 
+// ---------------------------------------------------------------------------
+// Interviews: questions, answers and pull quotes
+// ---------------------------------------------------------------------------
+
+const interviews = {};
+people.forEach(p => { interviews[p.slug] = parseInterview(p.interview_content); });
+
+// The quotes dataset feeds the /quotes/ filter and the homepage's quote of
+// the day, which the browser picks from it
+console.log('Writing quotes...');
+const quotes = collectQuotes(listed, interviews);
+fs.writeFileSync(path.join(OUTPUT, 'data', 'quotes.json'), JSON.stringify({
+  quotes: quotes.map(q => ({ text: q.text, post_id: q.person.post_id, name: q.person.name, href: q.href })),
+}));
+console.log(`  Collected ${quotes.length} quotes`);
+
 // ---------------------------------------------------------------------------
 // Generate person pages
 // ---------------------------------------------------------------------------
 
 console.log('Generating person pages...');
 people.forEach(person => {
-  // Head extras: canonical + prev/next
-  let headExtra = `<link rel="canonical" href="/${person.slug}/" />`;
-  if (person.prev) {
-    headExtra += `\n<link rel='prev' title='${person.prev.name}' href='/${person.prev.slug}/' />`;
-  }
-  if (person.next) {
-    headExtra += `\n<link rel='next' title='${person.next.name}' href='/${person.next.slug}/' />`;
-  }
-
-  // Personal links HTML
-  const linksHtml = person.personal_links.map(l =>
-    `        <li><a href="${l.url}">${l.label}</a></li>`
-  ).join('\n');
-
-  const html = render(personTemplate, {
-    HEAD: buildHead(headExtra),
-    NAV: buildNav(false, false),
-    FOOTER: partials.footer,
-    SCRIPTS: partials.scripts,
-    NAME: person.name,
-    HERO_IMAGE: person.hero_image,
-    THUMBNAIL: person.thumbnail,
-    YEARS_IN_TECH: person.years_in_tech,
-    ROLE: person.role,
-    LOCATION: person.location,
-    INTERVIEW_DATE: person.interview_date,
-    ABSTRACT: person.abstract,
-    PERSONAL_LINKS: linksHtml,
-    INTERVIEW_CONTENT: person.interview_content,
-  });
-
-  const dir = path.join(OUTPUT, person.slug);
-  mkdirp(dir);
-  fs.writeFileSync(path.join(dir, 'index.html'), html);
+  writePage(personPath(person), templates.render('person.html', page(personMeta(person), {
+    person,
+    preview: isDraft(person),
+    interview: interviews[person.slug],
+    hero: heroImages[person.slug] && { ...heroImages[person.slug], alt: portraitAlt(person) },
+    focalPoint: focalPoint(person),
+    photo: thumbnailImages[person.slug] && { ...thumbnailImages[person.slug], sizes: PHOTO_SIZES, alt: portraitAlt(person) },
+    siteNav: siteNav[person.slug],
+    categoryNavs: categoryNav[person.slug],
+  })));
 });
 console.log(`  Generated ${people.length} person pages`);
+drafts.forEach(p => console.log(`  Draft preview: ${personPath(p)}`));
 
 // ---------------------------------------------------------------------------
 // Generate homepage
 // ---------------------------------------------------------------------------
 
 console.log('Generating homepage...');
-
-// Category list for homepage (nicely formatted, one per line)
-const categoryListHtml = categories.map(cat =>
-  `              <li id="${cat.slug}" class="cat-item"><a href="/category/${cat.slug}/">${cat.display_name}</a></li>`
-).join('\n');
-
-// Gallery cards for homepage (all people, in order)
-const homepageCardsHtml = people.map(person => {
-  return `  <div id="post-${person.post_id}" class="techie-gallery col-xs-6 col-sm-4 col-md-3">
-    <a class="techie-thumbnail" href="/${person.slug}/">
-      <img src="/d1lhy388c2xgxf/thumbnails/${person.thumbnail}" width="280px" height="390px">
-      <div class="techie-info">
-        <p class="name">${person.name}</p>
-        <p class="title">${person.title}&nbsp</p>
-      </div>
-    </a>
-  </div>`;
-}).join('\n\n  <!-- end loop -->\n  ');
-
-const homepageHtml = render(homepageTemplate, {
-  HEAD: buildHead(''),
-  NAV: buildNav(false, false),
-  FOOTER: partials.footer,
-  SCRIPTS: partials.scripts,
-  CATEGORY_LIST: categoryListHtml,
-  GALLERY_CARDS: homepageCardsHtml,
-});
-
-fs.writeFileSync(path.join(OUTPUT, 'index.html'), homepageHtml);
+// Today's quote as of the build; techies.js swaps in the reader's today
+writePage('', templates.render('homepage.html', page(homepageMeta(), {
+  cards: cards(listed),
+  facets: { years: gallery.years, origins: gallery.origins, dates: gallery.dates },
+  quoteOfTheDay: quoteOfTheDay(quotes, new Date()),
+})));
 console.log('  Generated homepage');
 
 // ---------------------------------------------------------------------------
-// Generate category pages
+// Generate category pages and the /category/ index
 // ---------------------------------------------------------------------------
 
 console.log('Generating category pages...');
+// Thumbnails shown for each category on the index
+const CATEGORY_SAMPLES = 4;
+
+function interviewCount(count) {
+  return `${count} ${count === 1 ? 'interview' : 'interviews'}`;
+}
 
-// Category list for category pages (inline format, matching original)
-const categoryListInline = categories.map(cat =>
-  `<li id=${cat.slug} class='cat-item'><a href='/category/${cat.slug}/'>${cat.display_name}</a></li>`
-).join('');
+// The hero quote links to its place in the interview when it is one of the
+// pull quotes, and is left out while its person isn't listed
+function heroQuote(cat, members) {
+  const quote = cat.hero_quote;
+  const person = quote && members.find(p => p.post_id === quote.post_id);
+  if (!person) return null;
+  const pulled = quotes.find(q => q.person === person && q.text === quote.text);
+  return { text: quote.text, person, href: pulled ? pulled.href : `/${person.slug}/` };
+}
 
+const categoryMembers = {};
 categories.forEach(cat => {
-  const catPeople = cat.post_ids
+  categoryMembers[cat.slug] = cat.post_ids
     .map(id => peopleByPostId[id])
     .filter(Boolean);
+});
 
-  // Gallery cards for category pages (different format than homepage)
-  const cardsHtml = catPeople.map(person => {
-    return `  <div id="post-${person.post_id}" class="techie-gallery col-lg-3 col-md-4 col-sm-6">
-    <a class="techie-thumbnail" href="/${person.slug}/">
-      <img src="/d1lhy388c2xgxf/thumbnails/${person.thumbnail}" width="280px" height="390px">
-      <p class="name">${person.name}</p>
-      <p class="title">${person.title}&nbsp;</p>
-    </a>
-  </div>`;
-  }).join('\n\n<!-- end loop -->\n');
-
-  const categoryHtml = render(categoryTemplate, {
-    HEAD: buildHead(''),
-    NAV: buildNav(false, false),
-    FOOTER: partials.footer,
-    SCRIPTS: partials.scripts,
-    CATEGORY_LIST_INLINE: categoryListInline,
-    GALLERY_CARDS: cardsHtml,
-  });
+categories.forEach(cat => {
+  const catPeople = categoryMembers[cat.slug];
+  const feedPath = `${CATEGORIES_PATH}${cat.slug}/feed/`;
+  writePage(`category/${cat.slug}`, templates.render('category.html', page(categoryMeta(cat, catPeople), {
+    category: cat,
+    count: interviewCount(catPeople.length),
+    heroQuote: heroQuote(cat, catPeople),
+    breadcrumbs: [
+      { name: 'Home', path: '/' },
+      { name: 'Categories', path: CATEGORIES_PATH },
+      { name: cat.display_name },
+    ],
+    cards: cards(catPeople),
+    feeds: {
+      title: `${SITE_TITLE} » ${cat.display_name} Category Feed`,
+      rss: feedPath + FEED_FILES.rss,
+      atom: feedPath + FEED_FILES.atom,
+      json: feedPath + FEED_FILES.json,
+    },
+  })));
+});
 
-  const dir = path.join(OUTPUT, 'category', cat.slug);
-  mkdirp(dir);
-  fs.writeFileSync(path.join(dir, 'index.html'), categoryHtml);
+writePage('category', templates.render('categories.html', page(staticPageMeta({
+  title: 'Categories',
+  description: `The Techies interviews in ${categories.length} categories, from career switchers to founders.`,
+  path: CATEGORIES_PATH,
+  schemaType: 'CollectionPage',
+}), {
+  breadcrumbs: [{ name: 'Home', path: '/' }, { name: 'Categories' }],
+  entries: categories.map(cat => ({
+    category: cat,
+    href: `${CATEGORIES_PATH}${cat.slug}/`,
+    count: interviewCount(categoryMembers[cat.slug].length),
+    samples: categoryMembers[cat.slug].slice(0, CATEGORY_SAMPLES).map(person => ({
+      person,
+      image: { ...thumbnailImages[person.slug], sizes: LIST_THUMB_SIZES },
+    })),
+  })),
+})));
+console.log(`  Generated ${categories.length} category pages + index`);
+
+// ---------------------------------------------------------------------------
+// Generate question pages: one per question most interviews asked
+// ---------------------------------------------------------------------------
+
+console.log('Generating question pages...');
+const questionGroups = groupQuestions(listed, interviews);
+const QUESTIONS_PATH = '/questions/';
+
+writePage('questions', templates.render('questions.html', page(staticPageMeta({
+  title: 'Questions',
+  description: 'The questions asked in interview after interview, and how each person answered them.',
+  path: QUESTIONS_PATH,
+  schemaType: 'CollectionPage',
+}), {
+  groups: questionGroups.map(group => ({ ...group, count: group.answers.length })),
+})));
+
+questionGroups.forEach(group => {
+  const count = group.answers.length;
+  writePage(`questions/${group.slug}`, templates.render('question.html', page(staticPageMeta({
+    title: group.title,
+    description: `${count} people answer “${group.title}”`,
+    path: `${QUESTIONS_PATH}${group.slug}/`,
+    parent: { name: 'Questions', path: QUESTIONS_PATH },
+  }), {
+    group,
+    count,
+    answers: group.answers.map(({ person, question }) => ({
+      person,
+      image: { ...thumbnailImages[person.slug], sizes: LIST_THUMB_SIZES },
+      // the pull quotes repeat lines from the answer
+      html: question.answer.filter(block => !/^<blockquote\b/i.test(block)).join('\n'),
+      href: `/${person.slug}/#${question.id}`,
+    })),
+  })));
 });
-console.log(`  Generated ${categories.length} category pages`);
+console.log(`  Generated ${questionGroups.length} question pages`);
 
 // ---------------------------------------------------------------------------
-// Generate about page
+// Generate quotes page
 // ---------------------------------------------------------------------------
 
-console.log('Generating about page...');
-const aboutHtml = render(aboutTemplate, {
-  HEAD: buildHead('<link rel="canonical" href="/about/" />'),
-  NAV: buildNav(true, false),
-  FOOTER: partials.footer,
-  SCRIPTS: partials.scripts,
+console.log('Generating quotes page...');
+writePage('quotes', templates.render('quotes.html', page(staticPageMeta({
+  title: 'Quotes',
+  description: `${quotes.length} pull quotes from the Techies interviews, filterable by category.`,
+  path: '/quotes/',
+  schemaType: 'CollectionPage',
+}), { quotes })));
+
+// ---------------------------------------------------------------------------
+// Generate places of origin page
+// ---------------------------------------------------------------------------
+
+console.log('Generating origins page...');
+const origins = groupOrigins(listed);
+// One marker per region, plus one per country for people placed in no
+// region. That one links to the whole country, so it shows the country's count.
+const mapGroups = [];
+origins.forEach(country => {
+  country.regions.forEach(region => mapGroups.push({ ...region, label: `${region.label}, ${country.label}` }));
+  if (country.elsewhere.count) mapGroups.push({ ...country.elsewhere, count: country.count });
 });
+const unplaced = listed.filter(p => !p.origins.length);
+
+writePage('origins', templates.render('origins.html', page(staticPageMeta({
+  title: 'Places of origin',
+  description: `Where the Techies come from: ${listed.length - unplaced.length} interviewees from ${origins.length} countries.`,
+  path: '/origins/',
+  schemaType: 'CollectionPage',
+}), {
+  map: worldMap(world, mapGroups),
+  countries: origins,
+  placedCount: listed.length - unplaced.length,
+  unplaced,
+})));
+
+// ---------------------------------------------------------------------------
+// Generate timeline page
+// ---------------------------------------------------------------------------
+
+console.log('Generating timeline page...');
+const timeline = groupByMonth(listed);
+const timelineEntry = person => ({ person, image: { ...thumbnailImages[person.slug], sizes: LIST_THUMB_SIZES } });
+const datedCount = listed.length - timeline.undated.length;
+
+writePage('timeline', templates.render('timeline.html', page(staticPageMeta({
+  title: 'Timeline',
+  description: `All ${datedCount} dated Techies interviews in the order they were conducted, by month and week.`,
+  path: '/timeline/',
+  schemaType: 'CollectionPage',
+}), {
+  datedCount,
+  first: datedCount ? formatHumanDate(gallery.dates.min) : null,
+  last: datedCount ? formatHumanDate(gallery.dates.max) : null,
+  months: timeline.months.map(month => ({
+    ...month,
+    weeks: month.weeks.map(week => ({ ...week, entries: week.people.map(timelineEntry) })),
+  })),
+  undated: timeline.undated.map(timelineEntry),
+})));
+
+// ---------------------------------------------------------------------------
+// Generate about page
+// ---------------------------------------------------------------------------
 
-mkdirp(path.join(OUTPUT, 'about'));
-fs.writeFileSync(path.join(OUTPUT, 'about', 'index.html'), aboutHtml);
+console.log('Generating about page...');
+writePage('about', templates.render('about.html', page(staticPageMeta({
+  title: 'About',
+  description: 'About the Techies Project: who made it, who supported it, and how to get in touch.',
+  path: '/about/',
+  schemaType: 'AboutPage',
+}), {}, { about: true })));
 
 // ---------------------------------------------------------------------------
 // Generate submit page
 // ---------------------------------------------------------------------------
 
-console.log('Generating submit page...');
-const submitHtml = render(submitTemplate, {
-  HEAD: buildHead('<link rel="canonical" href="/submit/" />\n<link rel=\'stylesheet\' href=\'/assets/css/wpgform.css\' type=\'text/css\' media=\'all\' />'),
-  NAV: buildNav(false, true),
-  FOOTER: partials.footer,
-  SCRIPTS: partials.scripts,
+console.log('Generating submit pages...');
+writePage('submit', templates.render('submit.html', page(staticPageMeta({
+  title: 'Submit',
+  description: 'Interested in being included in the Techies Project? Tell us your story.',
+  path: '/submit/',
+}), {}, { submit: true })));
+
+// The form's action: Netlify shows this page after a submission
+writePage('submit/thanks', templates.render('submit-thanks.html', page(staticPageMeta({
+  title: 'Thank you',
+  description: 'Your story has been sent to the Techies Project.',
+  path: '/submit/thanks/',
+  parent: { name: 'Submit', path: '/submit/' },
+  noindex: true,
+}), {}, { submit: true })));
+
+// ---------------------------------------------------------------------------
+// Generate search page
+// ---------------------------------------------------------------------------
+
+console.log('Generating search page...');
+writePage('search', templates.render('search.html', page(staticPageMeta({
+  title: 'Search',
+  description: `Search all ${listed.length} Techies interviews.`,
+  path: '/search/',
+  schemaType: 'SearchResultsPage',
+  noindex: true,
+}), { interviewCount: listed.length })));
+
+// ---------------------------------------------------------------------------
+// Generate 404 page (Netlify serves /404.html for any missing path)
+// ---------------------------------------------------------------------------
+
+console.log('Generating 404 page...');
+fs.writeFileSync(path.join(OUTPUT, '404.html'), templates.render('404.html', page(staticPageMeta({
+  title: 'Page not found',
+  description: 'This page doesn’t exist. Search the interviews or start from the homepage.',
+  path: '/404.html',
+  noindex: true,
+}))));
+
+// ---------------------------------------------------------------------------
+// Generate feeds (site-wide + per category)
+// ---------------------------------------------------------------------------
+
+console.log('Generating feeds...');
+
+function feedEntry(person) {
+  const heroPath = path.join(IMAGES, 'portraits', person.hero_image);
+  return {
+    person,
+    date: person.interview_date_iso,
+    tags: categoryNamesByPostId[person.post_id],
+    imageBytes: fs.existsSync(heroPath) ? fs.statSync(heroPath).size : 0,
+  };
+}
+
+const feedEntriesByPostId = {};
+listed.forEach(p => { feedEntriesByPostId[p.post_id] = feedEntry(p); });
+
+writeFiles(path.join(OUTPUT, 'feed'), renderFeeds({
+  title: SITE_TITLE,
+  description: SITE_DESCRIPTION,
+  homePath: '/',
+  feedPath: '/feed/',
+}, listed.map(p => feedEntriesByPostId[p.post_id])));
+
+categories.forEach(cat => {
+  const entries = cat.post_ids
+    .map(id => feedEntriesByPostId[id])
+    .filter(Boolean);
+  writeFiles(path.join(OUTPUT, 'category', cat.slug, 'feed'), renderFeeds({
+    title: `${SITE_TITLE} » ${cat.display_name}`,
+    description: `Interviews in the ${cat.display_name} category. ${cat.description || SITE_DESCRIPTION}`,
+    homePath: `/category/${cat.slug}/`,
+    feedPath: `/category/${cat.slug}/feed/`,
+  }, entries));
 });
 
-mkdirp(path.join(OUTPUT, 'submit'));
-fs.writeFileSync(path.join(OUTPUT, 'submit', 'index.html'), submitHtml);
+// Keep the old WordPress feed URLs working
+redirects.push(
+  `/feed/ /feed/${FEED_FILES.rss} 200`,
+  `/feed/atom/ /feed/${FEED_FILES.atom} 200`,
+  `/category/:slug/feed/ /category/:slug/feed/${FEED_FILES.rss} 200`,
+  `/category/:slug/feed/atom/ /category/:slug/feed/${FEED_FILES.atom} 200`
+);
+console.log(`  Generated ${categories.length + 1} feeds in ${Object.keys(FEED_FILES).length} formats`);
+
+// ---------------------------------------------------------------------------
+// Generate sitemap
+// ---------------------------------------------------------------------------
+
+console.log('Generating sitemap...');
+
+function newest(dates) {
+  const sorted = dates.filter(Boolean).sort();
+  return sorted.length ? sorted[sorted.length - 1] : null;
+}
+
+const lastmodByPostId = {};
+listed.forEach(p => { lastmodByPostId[p.post_id] = p.interview_date_iso; });
+const siteLastmod = newest(Object.values(lastmodByPostId));
+
+const sitemapEntries = [
+  { path: '/', lastmod: siteLastmod },
+  { path: '/about/', lastmod: siteLastmod },
+  { path: '/submit/', lastmod: siteLastmod },
+  { path: '/quotes/', lastmod: siteLastmod },
+  { path: '/origins/', lastmod: siteLastmod },
+  { path: '/timeline/', lastmod: siteLastmod },
+  { path: QUESTIONS_PATH, lastmod: siteLastmod },
+  { path: CATEGORIES_PATH, lastmod: siteLastmod },
+  ...questionGroups.map(group => ({
+    path: `${QUESTIONS_PATH}${group.slug}/`,
+    lastmod: newest(group.answers.map(a => lastmodByPostId[a.person.post_id])) || siteLastmod,
+  })),
+  ...listed.map(p => ({ path: personPath(p), lastmod: lastmodByPostId[p.post_id] || siteLastmod })),
+  ...categories.map(cat => ({
+    path: `/category/${cat.slug}/`,
+    lastmod: newest(cat.post_ids.map(id => lastmodByPostId[id])) || siteLastmod,
+  })),
+];
+
+fs.writeFileSync(path.join(OUTPUT, 'sitemap.xml'), renderSitemap(sitemapEntries));
+console.log(`  Listed ${sitemapEntries.length} URLs`);
+
+// ---------------------------------------------------------------------------
+// Write Netlify redirects
+// ---------------------------------------------------------------------------
+
+fs.writeFileSync(path.join(OUTPUT, '_redirects'), redirects.join('\n') + '\n');
 
 // ---------------------------------------------------------------------------
 // Summary
 // ---------------------------------------------------------------------------
 
 console.log('\n--- Build complete ---');
-console.log(`Person pages: ${people.length}`);
-console.log(`Category pages: ${categories.length}`);
-console.log(`Static pages: homepage, about, submit`);
+console.log(`Person pages: ${listed.length} published, ${people.length - listed.length - drafts.length} unlisted, ${drafts.length} drafts in ${PREVIEW_PATH}`);
+console.log(`Category pages: ${categories.length} + index`);
+console.log(`Question pages: ${questionGroups.length} + index`);
+console.log(`Static pages: homepage, quotes, origins, timeline, about, submit, submit/thanks, search, 404`);
+console.log(`Feeds: site-wide + ${categories.length} categories (RSS, Atom, JSON Feed)`);
+console.log(`Data: category-index.json, gallery-index.json, quotes.json, search-index.json, ${listed.length} search shards`);
 console.log(`Output: ${OUTPUT}`);
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * convert-to-markdown.js — One-time move of people.json records into
+ * src/content/<slug>.md files (see lib/content.js for the format).
+ * Run: node scripts/convert-to-markdown.js [slug ...] [--dry-run]
+ *
+ * Every file is read back before anything is written: a record whose
+ * Markdown wouldn't give the same fields, and so the same pages, stays in
+ * people.json. The ones that move are replaced there by { "slug": ... },
+ * which keeps their place in the order. Where the stored HTML has stray
+ * empty paragraphs (<p><p>, a lone </p>) that Markdown can't hold, they are
+ * left out; the build drops them anyway.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dropEmptyParagraphs } = require('./lib/html');
+const { isReference, personToMarkdown } = require('./lib/content');
+
+const ROOT = path.join(__dirname, '..');
+const PEOPLE_FILE = path.join(ROOT, 'src', 'data', 'people.json');
+const CONTENT = path.join(ROOT, 'src', 'content');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const only = args.filter(arg => !arg.startsWith('--'));
+
+const records = JSON.parse(fs.readFileSync(PEOPLE_FILE, 'utf8'));
+const unknown = only.filter(slug => !records.some(record => record.slug === slug));
+if (unknown.length) {
+  unknown.forEach(slug => console.error(`  ERROR: no "${slug}" in people.json`));
+  process.exit(1);
+}
+
+// ---------------------------------------------------------------------------
+// Convert
+// ---------------------------------------------------------------------------
+
+console.log('Converting...');
+const files = [];
+const kept = [];
+
+const updated = records.map(record => {
+  if (isReference(record) || (only.length && !only.includes(record.slug))) return record;
+
+  const file = path.join(CONTENT, `${record.slug}.md`);
+  if (fs.existsSync(file)) {
+    console.log(`  ${record.slug}: KEPT (src/content/${record.slug}.md already exists)`);
+    kept.push(record.slug);
+    return record;
+  }
+
+  const text = personToMarkdown(record) || personToMarkdown({
+    ...record,
+    abstract: dropEmptyParagraphs(record.abstract),
+    interview_content: dropEmptyParagraphs(record.interview_content),
+  });
+  if (!text) {
+    console.log(`  ${record.slug}: KEPT (the Markdown wouldn't give back the same HTML)`);
+    kept.push(record.slug);
+    return record;
+  }
+
+  console.log(`  ${record.slug}: OK`);
+  files.push([file, text]);
+  return { slug: record.slug };
+});
+
+// ---------------------------------------------------------------------------
+// Write
+// ---------------------------------------------------------------------------
+
+if (dryRun) {
+  console.log('\nDry run: nothing written');
+} else if (files.length) {
+  fs.mkdirSync(CONTENT, { recursive: true });
+  files.forEach(([file, text]) => fs.writeFileSync(file, text));
+  fs.writeFileSync(`${PEOPLE_FILE}.tmp`, JSON.stringify(updated, null, 2));
+  fs.renameSync(`${PEOPLE_FILE}.tmp`, PEOPLE_FILE);
+  console.log(`\nWrote ${files.length} files to src/content/ and updated src/data/people.json`);
+} else {
+  console.log('\nNothing to convert');
+}
+
+// Summary
+console.log('\n--- Summary ---');
+console.log(`Converted: ${files.length}`);
+console.log(`Kept in people.json: ${kept.length}${kept.length ? ` (${kept.join(', ')})` : ''}`);
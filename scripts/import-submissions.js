@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * import-submissions.js — Turns exported submit-form entries into draft
+ * people.json records and reports duplicates and missing data.
+ * Run: node scripts/import-submissions.js [export.csv|export.json] [--dry-run]
+ *
+ * The export defaults to _forms/submissions.json (what the dev server
+ * records). Each new person becomes src/content/<slug>.md with a slug-only
+ * entry at the end of people.json (or a whole record there, if Markdown
+ * can't hold the bio) and "status": "draft", so the next build previews them
+ * at /preview/<slug>/. Running it again with a newer export only adds the
+ * new people.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { INTERVIEW_FIELDS, findDuplicate, readSubmissions, submissionToDraft } = require('./lib/submissions');
+const { loadPeople, personToMarkdown } = require('./lib/content');
+const { personPath } = require('./lib/status');
+const { validateData } = require('./lib/validate');
+
+const ROOT = path.join(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+const PEOPLE_FILE = path.join(SRC, 'data', 'people.json');
+const CATEGORIES_FILE = path.join(SRC, 'data', 'categories.json');
+const CONTENT = path.join(SRC, 'content');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const inputArg = args.find(arg => !arg.startsWith('--'));
+const inputFile = inputArg ? path.resolve(inputArg) : path.join(ROOT, '_forms', 'submissions.json');
+
+function display(file) {
+  return path.relative(process.cwd(), file);
+}
+
+// ---------------------------------------------------------------------------
+// Read
+// ---------------------------------------------------------------------------
+
+if (!fs.existsSync(inputFile)) {
+  console.error(`No export at ${display(inputFile)}`);
+  process.exit(1);
+}
+
+console.log(`Reading ${display(inputFile)}...`);
+let submissions;
+try {
+  submissions = readSubmissions(inputFile);
+} catch (err) {
+  console.error(`  ERROR: ${err.message}`);
+  process.exit(1);
+}
+console.log(`  Found ${submissions.length} submissions`);
+
+const records = JSON.parse(fs.readFileSync(PEOPLE_FILE, 'utf8'));
+const loaded = loadPeople(SRC);
+if (loaded.errors.length) {
+  loaded.errors.forEach(msg => console.error(`  ERROR: ${msg}`));
+  process.exit(1);
+}
+const known = loaded.people.map(person => {
+  const file = path.join(CONTENT, `${person.slug}.md`);
+  return { person, source: fs.existsSync(file) ? display(file) : 'people.json' };
+});
+let nextPostId = Math.max(0, ...loaded.people.map(p => p.post_id)) + 1;
+
+// ---------------------------------------------------------------------------
+// Convert
+// ---------------------------------------------------------------------------
+
+console.log('Importing...');
+const added = [];
+const duplicates = [];
+const incomplete = [];
+const unnamed = [];
+let skipped = 0;
+
+submissions.forEach((submission, idx) => {
+  if (!submission.name) {
+    console.log(`  submission ${idx + 1}: SKIP (no name)`);
+    skipped++;
+    return;
+  }
+
+  const { person, problems } = submissionToDraft(submission);
+  // A name with no Latin letters gives no slug to file the draft under
+  if (!person.slug) {
+    console.log(`  submission ${idx + 1}: SKIP (no URL-safe slug from name "${person.name}"; add it with new-person.js --slug)`);
+    unnamed.push(person.name);
+    return;
+  }
+  const duplicate = findDuplicate(person, known);
+  if (duplicate) {
+    console.log(`  ${person.slug}: DUPLICATE of ${duplicate.source} "${duplicate.person.slug}"`);
+    duplicates.push({ person, duplicate });
+    return;
+  }
+
+  person.post_id = nextPostId++;
+  console.log(`  ${person.slug}: OK, post_id ${person.post_id}`);
+  known.push({ person, source: `submission ${idx + 1}` });
+  added.push(person);
+  if (problems.length) incomplete.push({ person, problems });
+});
+
+// ---------------------------------------------------------------------------
+// Write
+// ---------------------------------------------------------------------------
+
+// Markdown where it gives back the same record, like new-person.js
+const files = [];
+const newRecords = [...records];
+added.forEach(person => {
+  const markdown = personToMarkdown(person);
+  if (markdown) files.push([path.join(CONTENT, `${person.slug}.md`), markdown]);
+  newRecords.push(markdown ? { slug: person.slug } : person);
+});
+files.push([PEOPLE_FILE, JSON.stringify(newRecords, null, 2)]);
+
+// The next build has to accept what is written
+const categories = JSON.parse(fs.readFileSync(CATEGORIES_FILE, 'utf8'));
+const validation = validateData([...loaded.people, ...added], categories, { imageDir: path.join(ROOT, 'd1lhy388c2xgxf') });
+if (validation.errors.length) {
+  validation.errors.forEach(msg => console.error(`  ERROR: ${msg}`));
+  console.error(`\nNothing was written: ${validation.errors.length} error(s)`);
+  process.exit(1);
+}
+
+if (dryRun) {
+  console.log('\nDry run: nothing written');
+} else if (added.length) {
+  // Written next to their targets and renamed into place, so a failure
+  // part-way leaves the data as it was
+  fs.mkdirSync(CONTENT, { recursive: true });
+  const written = files.map(([file, text]) => {
+    fs.writeFileSync(`${file}.tmp`, text);
+    return file;
+  });
+  written.forEach(file => fs.renameSync(`${file}.tmp`, file));
+  console.log(`\nWrote ${files.map(([file]) => display(file)).join(', ')}`);
+} else {
+  console.log('\nNothing new to write');
+}
+
+// Summary
+console.log('\n--- Summary ---');
+console.log(`Imported: ${added.length}`);
+console.log(`Duplicates: ${duplicates.length}`);
+if (skipped) console.log(`Skipped without a name: ${skipped}`);
+if (unnamed.length) console.log(`Skipped without a slug: ${unnamed.length} (${unnamed.join(', ')})`);
+
+if (incomplete.length) {
+  console.log(`\nWARNING: ${incomplete.length} ${incomplete.length === 1 ? 'draft' : 'drafts'} with missing or unusable answers:`);
+  incomplete.forEach(({ person, problems }) => console.log(`  ${person.slug}: ${problems.join(', ')}`));
+}
+if (added.length) {
+  console.log('\nPreviews after the next build:');
+  added.forEach(person => console.log(`  ${personPath(person)}`));
+  console.log(`\nEvery draft still needs ${INTERVIEW_FIELDS.join(', ')} and its categories before it can be published.`);
+}
@@ -0,0 +1,123 @@
+/**
+ * a11y.js — Static accessibility checks for a built page, run by verify.js.
+ *
+ * Like the rest of verify.js this reads the markup with regular expressions,
+ * so it only sees what the HTML says, not what CSS or scripts do to it. It
+ * catches the mistakes templates tend to make: images without alt text,
+ * links and form fields without a name, duplicate ids, skipped heading
+ * levels and a missing document language.
+ */
+
+// Scripts and comments can hold markup-looking strings that aren't markup
+function stripNonMarkup(html) {
+  return html
+    .replace(/<script\b[\s\S]*?<\/script>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+}
+
+function attr(tag, name) {
+  const m = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i').exec(tag);
+  if (!m) return null;
+  return [m[1], m[2], m[3]].find(value => value !== undefined);
+}
+
+function hasText(html) {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;|&#160;/g, ' ')
+    .trim() !== '';
+}
+
+// Name from aria-label, aria-labelledby or title on the element itself
+function labelledByAttribute(tag) {
+  return ['aria-label', 'aria-labelledby', 'title'].some(name => (attr(tag, name) || '').trim());
+}
+
+function checkLang(html) {
+  const tag = /<html\b[^>]*>/i.exec(html);
+  return tag && (attr(tag[0], 'lang') || '').trim() ? [] : ['<html> has no lang attribute'];
+}
+
+function checkImages(html) {
+  return [...html.matchAll(/<img\b[^>]*>/gi)]
+    .filter(m => attr(m[0], 'alt') === null)
+    .map(m => `<img src="${attr(m[0], 'src')}"> has no alt attribute`);
+}
+
+// A link's name is its text, the alt text of an image inside it, or an
+// aria-label / title
+function checkLinks(html) {
+  const problems = [];
+  [...html.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)].forEach(([, attrs, inner]) => {
+    const tag = `<a${attrs}>`;
+    const href = attr(tag, 'href');
+    if (attr(tag, 'alt') !== null) problems.push(`<a href="${href}"> has an alt attribute, which links don't support`);
+    const imageAlt = [...inner.matchAll(/<img\b[^>]*>/gi)].some(m => (attr(m[0], 'alt') || '').trim());
+    if (!hasText(inner) && !imageAlt && !labelledByAttribute(tag)) {
+      problems.push(`<a href="${href}"> has no accessible name`);
+    }
+  });
+  return problems;
+}
+
+function checkIds(html) {
+  const seen = new Set();
+  const duplicates = new Set();
+  [...html.matchAll(/<[a-z][^>]*>/gi)].forEach(m => {
+    const id = attr(m[0], 'id');
+    if (id === null) return;
+    if (seen.has(id)) duplicates.add(id);
+    seen.add(id);
+  });
+  return [...duplicates].map(id => `id "${id}" is used more than once`);
+}
+
+// Headings start at h1 and only ever go one level deeper than the last
+function checkHeadings(html) {
+  const problems = [];
+  let previous = 0;
+  [...html.matchAll(/<h([1-6])\b/gi)].forEach(m => {
+    const level = Number(m[1]);
+    if (level > previous + 1) {
+      problems.push(previous ? `<h${level}> follows <h${previous}>` : `first heading is <h${level}>, not <h1>`);
+    }
+    previous = level;
+  });
+  return problems;
+}
+
+const UNLABELLED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+// Form fields need a <label for>, an enclosing <label> or an aria-label
+function checkFormLabels(html) {
+  const labelFor = new Set([...html.matchAll(/<label\b[^>]*>/gi)].map(m => attr(m[0], 'for')).filter(Boolean));
+  const labelRanges = [...html.matchAll(/<label\b[\s\S]*?<\/label>/gi)].map(m => [m.index, m.index + m[0].length]);
+  const problems = [];
+  [...html.matchAll(/<(input|select|textarea)\b[^>]*>/gi)].forEach(m => {
+    const tag = m[0];
+    if (m[1].toLowerCase() === 'input' && UNLABELLED_INPUT_TYPES.includes((attr(tag, 'type') || '').toLowerCase())) return;
+    const id = attr(tag, 'id');
+    const wrapped = labelRanges.some(([start, end]) => m.index > start && m.index < end);
+    if (!(id && labelFor.has(id)) && !wrapped && !labelledByAttribute(tag)) {
+      problems.push(`<${m[1]}${id ? ` id="${id}"` : ''}> has no label`);
+    }
+  });
+  return problems;
+}
+
+// Returns a list of problems, empty when the page passes
+function auditPage(html) {
+  const markup = stripNonMarkup(html);
+  return [
+    ...checkLang(markup),
+    ...checkImages(markup),
+    ...checkLinks(markup),
+    ...checkIds(markup),
+    ...checkHeadings(markup),
+    ...checkFormLabels(markup),
+  ];
+}
+
+module.exports = {
+  auditPage,
+};
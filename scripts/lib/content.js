@@ -0,0 +1,275 @@
+/**
+ * content.js — Interviews written as Markdown files, src/content/<slug>.md,
+ * and loading them together with people.json.
+ *
+ * A file holds one person: the people.json fields as front-matter, then the
+ * abstract, a `<!-- interview -->` line and the interview, both in the
+ * Markdown of lib/markdown.js:
+ *
+ *   ---
+ *   post_id: 118
+ *   name: Jane Doe
+ *   years_in_tech: "12"
+ *   personal_links:
+ *     - url: https://twitter.com/jane
+ *       label: Twitter
+ *   ---
+ *
+ *   Jane builds things.
+ *
+ *   <!-- interview -->
+ *
+ *   __So why don't we start from the earliest years?__
+ *
+ * The slug is the file name. The divider every interview opens with
+ * (`<div class="post-border"></div>`) is added by the build.
+ *
+ * people.json still sets the order: an entry that is only a slug,
+ * `{ "slug": "jane-doe" }`, stands for src/content/jane-doe.md. Files that
+ * people.json doesn't mention come after everyone else, by file name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { htmlToMarkdown, renderMarkdown } = require('./markdown');
+
+const POST_BORDER = '<div class="post-border"></div>\n    ';
+const INTERVIEW_MARKER = '<!-- interview -->';
+const BODY_FIELDS = ['abstract', 'interview_content'];
+
+// ---------------------------------------------------------------------------
+// Front-matter
+// ---------------------------------------------------------------------------
+
+// The YAML the front-matter needs: `key: value` lines, nested mappings and
+// `- ` lists by indentation, [] and {} when empty, and plain, 'single' or
+// "double" quoted scalars. Blank lines and # comments are skipped.
+
+function parseScalar(text, lineNo) {
+  if (text.startsWith('"') || text.startsWith("'")) {
+    const quoted = text[0] === '"' ? /^"(?:[^"\\]|\\.)*"/.exec(text) : /^'(?:[^']|'')*'/.exec(text);
+    if (!quoted || !/^(\s+#.*)?$/.test(text.slice(quoted[0].length))) {
+      throw new Error(`line ${lineNo}: bad quoted string ${text}`);
+    }
+    if (text[0] === "'") return quoted[0].slice(1, -1).replace(/''/g, "'");
+    try {
+      return JSON.parse(quoted[0]);
+    } catch (err) {
+      throw new Error(`line ${lineNo}: bad quoted string ${text}`);
+    }
+  }
+  const plain = text.replace(/\s+#.*$/, '');
+  if (plain === '[]') return [];
+  if (plain === '{}') return {};
+  if (/^[[{]/.test(plain)) throw new Error(`line ${lineNo}: write lists as "- " lines, one item each`);
+  if (plain === '' || plain === '~' || plain === 'null') return null;
+  if (plain === 'true' || plain === 'false') return plain === 'true';
+  if (/^-?(?:0|[1-9]\d*)(?:\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
+
+// Strings that would read back as something else, or not at all, are
+// written as JSON strings, which YAML reads too
+function formatScalar(value) {
+  if (typeof value !== 'string') return JSON.stringify(value);
+  const plain = value !== '' && value === value.trim() &&
+    !/^[-?:,[\]{}#&*!|>'"%@`+.\d~]/.test(value) &&
+    !/: |\s#|:$|[\x00-\x1f]/.test(value) &&
+    !/^(?:true|false|null|yes|no|on|off|y|n)$/i.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+function parseYamlBlock(lines, start, indent) {
+  const isItem = line => line.text === '-' || line.text.startsWith('- ');
+  const list = isItem(lines[start]);
+  const result = list ? [] : {};
+  let i = start;
+
+  while (i < lines.length && lines[i].indent === indent) {
+    const line = lines[i];
+    if (isItem(line) !== list) throw new Error(`line ${line.no}: mixed list items and keys`);
+
+    if (list) {
+      const rest = line.text.slice(1).trimStart();
+      const offset = line.text.length - rest.length;
+      if (rest === '') {
+        i++;
+        const child = i < lines.length && lines[i].indent > indent;
+        const [value, next] = child ? parseYamlBlock(lines, i, lines[i].indent) : [null, i];
+        result.push(value);
+        i = next;
+      } else if (/^[\w-]+:(\s|$)/.test(rest)) {
+        // "- key: value": the item is a mapping that starts on this line
+        lines[i] = { text: rest, indent: indent + offset, no: line.no };
+        const [value, next] = parseYamlBlock(lines, i, indent + offset);
+        result.push(value);
+        i = next;
+      } else {
+        result.push(parseScalar(rest, line.no));
+        i++;
+      }
+      continue;
+    }
+
+    const m = /^([\w-]+):(?:\s+(.*))?$/.exec(line.text);
+    if (!m) throw new Error(`line ${line.no}: expected "key: value"`);
+    const [, key, value = ''] = m;
+    if (Object.prototype.hasOwnProperty.call(result, key)) throw new Error(`line ${line.no}: ${key} is set twice`);
+    i++;
+    if (value.trim() === '' && i < lines.length && lines[i].indent > indent) {
+      [result[key], i] = parseYamlBlock(lines, i, lines[i].indent);
+    } else {
+      result[key] = parseScalar(value.trim(), line.no);
+    }
+  }
+  if (i < lines.length && lines[i].indent > indent) throw new Error(`line ${lines[i].no}: unexpected indentation`);
+  return [result, i];
+}
+
+// `firstLine` is the file line the YAML starts on, for error messages
+function parseYaml(text, firstLine = 1) {
+  const lines = [];
+  text.split('\n').forEach((raw, idx) => {
+    const no = firstLine + idx;
+    if (raw.trim() === '' || raw.trim().startsWith('#')) return;
+    if (/^ *\t/.test(raw)) throw new Error(`line ${no}: indent with spaces, not tabs`);
+    lines.push({ text: raw.trim(), indent: raw.length - raw.trimStart().length, no });
+  });
+  if (!lines.length) return {};
+  const [data, end] = parseYamlBlock(lines, 0, lines[0].indent);
+  if (end < lines.length) throw new Error(`line ${lines[end].no}: unexpected indentation`);
+  if (Array.isArray(data)) throw new Error(`line ${lines[0].no}: front-matter must be "key: value" lines`);
+  return data;
+}
+
+function formatYaml(data, indent = '') {
+  return Object.entries(data).map(([key, value]) => {
+    if (Array.isArray(value) && value.length) {
+      const items = value.map(item => {
+        if (item === null || typeof item !== 'object' || Array.isArray(item)) return `${indent}  - ${formatScalar(item)}`;
+        const lines = formatYaml(item, `${indent}    `).split('\n');
+        lines[0] = `${indent}  - ${lines[0].trimStart()}`;
+        return lines.join('\n');
+      });
+      return `${indent}${key}:\n${items.join('\n')}`;
+    }
+    if (Array.isArray(value)) return `${indent}${key}: []`;
+    if (value !== null && typeof value === 'object') {
+      return Object.keys(value).length ? `${indent}${key}:\n${formatYaml(value, `${indent}  `)}` : `${indent}${key}: {}`;
+    }
+    return `${indent}${key}: ${formatScalar(value)}`;
+  }).join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Reading and writing a person
+// ---------------------------------------------------------------------------
+
+// Interview Markdown -> interview_content, divider included
+function renderInterview(md) {
+  const html = renderMarkdown(md);
+  return html && POST_BORDER + html;
+}
+
+// Markdown file text -> people.json record. Throws with a line number.
+function parsePersonMarkdown(text, slug) {
+  const source = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const fm = /^---\n([\s\S]*?\n)?---(?:\n|$)/.exec(source);
+  if (!fm) throw new Error('line 1: no front-matter (a --- line, the fields, then another --- line)');
+
+  const fields = parseYaml(fm[1] || '', 2);
+  const misplaced = BODY_FIELDS.find(field => field in fields);
+  if (misplaced) throw new Error(`${misplaced} goes in the body, not the front-matter`);
+  if ('slug' in fields && fields.slug !== slug) throw new Error(`slug "${fields.slug}" doesn't match the file name`);
+
+  const body = source.slice(fm[0].length);
+  const marker = new RegExp(`^${INTERVIEW_MARKER.replace(/ /g, '\\s*')}[ \\t]*$`, 'm').exec(body);
+  if (!marker) throw new Error(`no ${INTERVIEW_MARKER} line between the abstract and the interview`);
+
+  return {
+    slug,
+    ...fields,
+    abstract: renderMarkdown(body.slice(0, marker.index)),
+    interview_content: renderInterview(body.slice(marker.index + marker[0].length).replace(/^\n/, '')),
+  };
+}
+
+function readPersonFile(file) {
+  return parsePersonMarkdown(fs.readFileSync(file, 'utf8'), path.basename(file, '.md'));
+}
+
+// people.json record -> Markdown file text, or null when the Markdown
+// wouldn't give back the same abstract and interview_content
+function personToMarkdown(person) {
+  const { slug, abstract, interview_content: interview, ...fields } = person;
+  if (interview && !interview.startsWith(POST_BORDER)) return null;
+  const abstractMd = htmlToMarkdown(abstract);
+  const interviewMd = htmlToMarkdown(interview.slice(POST_BORDER.length));
+  if (abstractMd === null || interviewMd === null) return null;
+
+  const text = `---\n${formatYaml(fields)}\n---\n\n${abstractMd}${INTERVIEW_MARKER}\n\n${interviewMd}`;
+  // Same fields with the same values, whatever their order
+  const back = parsePersonMarkdown(text, slug);
+  return JSON.stringify({ ...back, ...person }) === JSON.stringify(back) ? text : null;
+}
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+function isReference(record) {
+  return record !== null && typeof record === 'object' &&
+    Object.keys(record).length === 1 && typeof record.slug === 'string';
+}
+
+// Returns { people, errors }: people.json in order, with each slug-only
+// entry replaced by its Markdown file, then the files it doesn't list
+function loadPeople(srcDir) {
+  const errors = [];
+  const records = JSON.parse(fs.readFileSync(path.join(srcDir, 'data', 'people.json'), 'utf8'));
+  const contentDir = path.join(srcDir, 'content');
+  const files = fs.existsSync(contentDir)
+    ? fs.readdirSync(contentDir).filter(name => name.endsWith('.md')).sort()
+    : [];
+
+  const fromFiles = new Map();
+  files.forEach(name => {
+    const slug = path.basename(name, '.md');
+    try {
+      fromFiles.set(slug, readPersonFile(path.join(contentDir, name)));
+    } catch (err) {
+      fromFiles.set(slug, null);
+      errors.push(`src/content/${name}: ${err.message}`);
+    }
+  });
+
+  const people = [];
+  records.forEach((record, idx) => {
+    if (!isReference(record)) {
+      if (record && fromFiles.has(record.slug)) {
+        errors.push(`people.json[${idx}] "${record.slug}": also in src/content/${record.slug}.md; keep one`);
+      }
+      people.push(record);
+    } else if (!fromFiles.has(record.slug)) {
+      errors.push(`people.json[${idx}] "${record.slug}": no src/content/${record.slug}.md`);
+    } else if (fromFiles.get(record.slug)) {
+      people.push(fromFiles.get(record.slug));
+    }
+  });
+
+  const mentioned = new Set(records.filter(Boolean).map(record => record.slug));
+  fromFiles.forEach((person, slug) => {
+    if (person && !mentioned.has(slug)) people.push(person);
+  });
+  return { people, errors };
+}
+
+module.exports = {
+  INTERVIEW_MARKER,
+  isReference,
+  loadPeople,
+  parsePersonMarkdown,
+  personToMarkdown,
+  readPersonFile,
+  renderInterview,
+};
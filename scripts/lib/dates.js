@@ -0,0 +1,53 @@
+/**
+ * dates.js — Parsing for the human-written dates in people.json.
+ */
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+// "March 11, 2016" -> "2016-03-11". Returns null for anything else
+// (empty strings, a bare month, a location typed into the date field...).
+function parseHumanDate(str) {
+  const m = /^\s*([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})\s*$/i.exec(str || '');
+  if (!m) return null;
+  const month = MONTHS.findIndex(name => name.startsWith(m[1].toLowerCase()) && m[1].length >= 3);
+  const day = parseInt(m[2], 10);
+  const year = parseInt(m[3], 10);
+  if (month === -1) return null;
+
+  const date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// "2016-03-11" -> Date at midnight UTC
+function isoToDate(iso) {
+  return new Date(`${iso}T00:00:00Z`);
+}
+
+// Date -> "2016-03-11"
+function dateToIso(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// "2016-03-11" -> "March"
+function monthName(iso) {
+  const name = MONTHS[isoToDate(iso).getUTCMonth()];
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+// "2016-03-11" -> "March 11, 2016", the format people.json uses
+function formatHumanDate(iso) {
+  const date = isoToDate(iso);
+  return `${monthName(iso)} ${date.getUTCDate()}, ${date.getUTCFullYear()}`;
+}
+
+module.exports = {
+  parseHumanDate,
+  isoToDate,
+  dateToIso,
+  monthName,
+  formatHumanDate,
+};
@@ -0,0 +1,388 @@
+/**
+ * dev-server.js — `node scripts/build.js --watch`: rebuild on change, serve
+ * _output/ and reload open pages.
+ *
+ * Each build runs in a child process, so a data error or a typo in a
+ * template is reported without stopping the watcher. The server behaves like
+ * Netlify where the site relies on it:
+ *
+ *   - /about serves about/index.html via a redirect to /about/
+ *   - rules in _output/_redirects (splats, :placeholders, 200 rewrites,
+ *     301/302 redirects, forced "!" rules)
+ *   - unknown paths get _output/404.html with a 404 status
+ *   - POSTed forms are appended to _forms/submissions.json instead of going
+ *     to Netlify Forms, except ones that fill in the bot-field honeypot
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const DEFAULT_PORT = 8888;
+const RELOAD_PATH = '/__livereload';
+const DEBOUNCE_MS = 100;
+const HONEYPOT_FIELD = 'bot-field';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.eot': 'application/vnd.ms-fontobject',
+};
+
+const RELOAD_SCRIPT = `<script>new EventSource('${RELOAD_PATH}').onmessage = function () { location.reload(); };</script>`;
+
+// ---------------------------------------------------------------------------
+// _redirects
+// ---------------------------------------------------------------------------
+
+// "from to [status][!]" per line; blank lines and # comments are skipped.
+function parseRedirects(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const [from, to, code = '301'] = line.split(/\s+/);
+      return { from, to, status: parseInt(code, 10), force: code.endsWith('!') };
+    });
+}
+
+function segments(urlPath) {
+  return urlPath.split('/').filter(Boolean);
+}
+
+// Returns the rule's target with :placeholders and :splat filled in, or null.
+// Trailing slashes don't matter on either side, as on Netlify.
+function matchRule(rule, pathname) {
+  const pattern = segments(rule.from);
+  const parts = segments(pathname);
+  const params = {};
+
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === '*') {
+      params.splat = parts.slice(i).join('/');
+      return fillTarget(rule.to, params);
+    }
+    if (i >= parts.length) return null;
+    if (pattern[i].startsWith(':')) {
+      params[pattern[i].slice(1)] = parts[i];
+    } else if (pattern[i] !== parts[i]) {
+      return null;
+    }
+  }
+  return parts.length === pattern.length ? fillTarget(rule.to, params) : null;
+}
+
+function fillTarget(to, params) {
+  return to.replace(/:([a-z]+)/gi, (match, name) => (name in params ? params[name] : match));
+}
+
+// ---------------------------------------------------------------------------
+// Static files
+// ---------------------------------------------------------------------------
+
+// { file } to serve, { redirect } for a missing trailing slash, or null.
+function resolveStatic(root, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (err) {
+    return null;
+  }
+  const target = path.join(root, decoded);
+  if (target !== root && !target.startsWith(root + path.sep)) return null;
+
+  const stat = fs.statSync(target, { throwIfNoEntry: false });
+  if (stat && stat.isFile()) return { file: target };
+  if (stat && stat.isDirectory() && fs.existsSync(path.join(target, 'index.html'))) {
+    return pathname.endsWith('/') ? { file: path.join(target, 'index.html') } : { redirect: `${pathname}/` };
+  }
+  if (!pathname.endsWith('/') && fs.existsSync(`${target}.html`)) return { file: `${target}.html` };
+  return null;
+}
+
+function sendFile(res, file, status, method) {
+  const type = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  let body = fs.readFileSync(file);
+  if (type.startsWith('text/html')) {
+    body = body.toString('utf8').replace(/<\/body>/i, `${RELOAD_SCRIPT}\n</body>`);
+  }
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(method === 'HEAD' ? undefined : body);
+}
+
+function redirect(res, status, location) {
+  res.writeHead(status, { Location: location, 'Cache-Control': 'no-store' });
+  res.end();
+}
+
+function sendNotFound(res, root, method) {
+  const page = path.join(root, '404.html');
+  if (fs.existsSync(page)) {
+    sendFile(res, page, 404, method);
+  } else {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+  }
+}
+
+function sendError(res, message) {
+  if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+// ---------------------------------------------------------------------------
+// Forms
+// ---------------------------------------------------------------------------
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// The submissions so far. A file that isn't a JSON array (hand-edited, or
+// cut short) is reported rather than overwritten.
+function readSubmissions(formsFile) {
+  if (!fs.existsSync(formsFile)) return [];
+  const where = path.relative(process.cwd(), formsFile);
+  let submissions;
+  try {
+    submissions = JSON.parse(fs.readFileSync(formsFile, 'utf8'));
+  } catch (err) {
+    throw new Error(`${where} is not valid JSON (${err.message}); fix or move it`);
+  }
+  if (!Array.isArray(submissions)) throw new Error(`${where} is not a JSON array; fix or move it`);
+  return submissions;
+}
+
+// Path of the page a request came from, or null without a usable Referer
+function refererPath(req) {
+  try {
+    return req.headers.referer ? new URL(req.headers.referer).pathname : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Netlify identifies a submission by its hidden form-name field, and drops
+// it without telling the sender when the honeypot field (the form's
+// netlify-honeypot attribute) has been filled in. Returns null for those.
+function recordSubmission(formsFile, pathname, body) {
+  const data = {};
+  new URLSearchParams(body).forEach((value, key) => {
+    if (key in data) {
+      data[key] = [].concat(data[key], value);
+    } else {
+      data[key] = value;
+    }
+  });
+  if (data[HONEYPOT_FIELD]) return null;
+  delete data[HONEYPOT_FIELD];
+
+  const submissions = readSubmissions(formsFile);
+  const submission = {
+    form: data['form-name'] || '(unnamed)',
+    path: pathname,
+    submitted_at: new Date().toISOString(),
+    data,
+  };
+  submissions.push(submission);
+  fs.mkdirSync(path.dirname(formsFile), { recursive: true });
+  fs.writeFileSync(formsFile, JSON.stringify(submissions, null, 2) + '\n');
+  return submission;
+}
+
+const SUCCESS_PAGE = `<!DOCTYPE html>
+<html>
+  <head><title>Form submitted</title></head>
+  <body>
+    <h1>Thank you!</h1>
+    <p>Your form submission has been received (recorded locally by the dev server).</p>
+    <p><a href="/">Back to the site</a></p>
+  </body>
+</html>
+`;
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+async function handleRequest(req, res, { root, formsFile, clients }) {
+  const url = new URL(req.url, 'http://localhost');
+  const { pathname } = url;
+
+  if (pathname === RELOAD_PATH) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' });
+    res.write(': connected\n\n');
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+    return;
+  }
+
+  if (req.method === 'POST') {
+    let submission;
+    try {
+      submission = recordSubmission(formsFile, pathname, await readBody(req));
+    } catch (err) {
+      console.error(`  Form submission not saved: ${err.message}`);
+      sendError(res, `Form submission not saved: ${err.message}\n`);
+      return;
+    }
+    if (submission) {
+      console.log(`  Form "${submission.form}" submitted, saved to ${path.relative(process.cwd(), formsFile)}`);
+    } else {
+      console.log(`  Form submission with ${HONEYPOT_FIELD} filled in dropped as spam`);
+    }
+    // Netlify shows the page at the form's action, or a generic thank-you
+    // page when the form posts back to itself
+    const page = refererPath(req) !== pathname && resolveStatic(root, pathname);
+    if (page && page.file) {
+      sendFile(res, page.file, 200, 'GET');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(SUCCESS_PAGE);
+    }
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD, POST' });
+    res.end();
+    return;
+  }
+
+  const redirectsFile = path.join(root, '_redirects');
+  const rules = fs.existsSync(redirectsFile) ? parseRedirects(fs.readFileSync(redirectsFile, 'utf8')) : [];
+  const found = resolveStatic(root, pathname);
+
+  // Existing files shadow redirect rules unless the rule is forced
+  for (const rule of rules) {
+    if (found && !rule.force) continue;
+    const target = matchRule(rule, pathname);
+    if (target === null) continue;
+
+    if (rule.status === 301 || rule.status === 302) {
+      redirect(res, rule.status, target + url.search);
+      return;
+    }
+    const rewritten = resolveStatic(root, new URL(target, 'http://localhost').pathname);
+    if (rewritten && rewritten.file) {
+      sendFile(res, rewritten.file, rule.status, req.method);
+      return;
+    }
+  }
+
+  if (found && found.redirect) {
+    redirect(res, 301, found.redirect + url.search);
+  } else if (found) {
+    sendFile(res, found.file, 200, req.method);
+  } else {
+    sendNotFound(res, root, req.method);
+  }
+}
+
+// A request that fails gets a 500 and a line in the log; the server keeps
+// running
+function createServer(options) {
+  return http.createServer((req, res) => {
+    handleRequest(req, res, options).catch(err => {
+      console.error(`  ${req.method} ${req.url} failed: ${err.message}`);
+      sendError(res, 'Internal server error');
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Watch + rebuild
+// ---------------------------------------------------------------------------
+
+// Recursive fs.watch needs Node 19.1+ on Linux; older versions watch each
+// directory separately (new subdirectories then need a restart).
+function watchTree(dir, onChange) {
+  try {
+    fs.watch(dir, { recursive: true }, (event, filename) => onChange(filename));
+  } catch (err) {
+    if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw err;
+    fs.watch(dir, (event, filename) => onChange(filename));
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => watchTree(path.join(dir, entry.name), onChange));
+  }
+}
+
+// options: { buildScript, outputDir, watchDirs, formsFile, port }
+function watchAndServe(options) {
+  const clients = new Set();
+  let building = false;
+  let queued = false;
+  let timer = null;
+
+  function notify() {
+    clients.forEach(res => res.write('data: reload\n\n'));
+  }
+
+  function build() {
+    if (building) {
+      queued = true;
+      return;
+    }
+    building = true;
+    const started = Date.now();
+    const child = spawn(process.execPath, [options.buildScript], { stdio: ['ignore', 'ignore', 'inherit'] });
+    child.on('exit', code => {
+      building = false;
+      if (code === 0) {
+        console.log(`Rebuilt in ${Date.now() - started}ms`);
+        notify();
+      } else {
+        console.error('Build failed, fix the error above and save again');
+      }
+      if (queued) {
+        queued = false;
+        build();
+      }
+    });
+  }
+
+  function scheduleBuild(filename) {
+    // editor swap and backup files
+    if (filename && /(^|[/\\])\.|~$|\.swp$/.test(filename)) return;
+    clearTimeout(timer);
+    timer = setTimeout(build, DEBOUNCE_MS);
+  }
+
+  options.watchDirs.forEach(dir => watchTree(dir, scheduleBuild));
+
+  const server = createServer({ root: options.outputDir, formsFile: options.formsFile, clients });
+  server.on('error', err => {
+    console.error(err.code === 'EADDRINUSE' ? `Port ${options.port} is in use, try --port <n>` : err.message);
+    process.exit(1);
+  });
+  server.listen(options.port, () => {
+    console.log(`Serving ${path.relative(process.cwd(), options.outputDir) || '.'} at http://localhost:${options.port}/`);
+    console.log(`Watching ${options.watchDirs.map(dir => path.relative(process.cwd(), dir)).join(', ')}`);
+    build();
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  watchAndServe,
+};
@@ -0,0 +1,143 @@
+/**
+ * facets.js — Sort keys and facets for the homepage gallery controls.
+ *
+ * galleryIndex() is written to data/gallery-index.json; techies.js sorts,
+ * filters and shuffles the cards from it instead of reading the page. The
+ * same facet lists fill the controls' <select>s, so an option never shows
+ * up that the index can't match. Everything here works on the typed fields
+ * from normalize.js.
+ */
+
+const { slugify } = require('./html');
+
+// Buckets by the minimum, so "15+" is 11–19 and "20+" is 20 or more
+const YEARS_RANGES = [
+  { slug: 'under-3', label: 'Under 3 years', max: 3 },
+  { slug: '3-5', label: '3–5 years', max: 6 },
+  { slug: '6-10', label: '6–10 years', max: 11 },
+  { slug: '11-19', label: '11–19 years', max: 20 },
+  { slug: '20-plus', label: '20 years or more', max: Infinity },
+];
+
+function yearsRange(person) {
+  if (person.years_in_tech_min === null) return null;
+  return YEARS_RANGES.find(range => person.years_in_tech_min < range.max).slug;
+}
+
+// Facet keys for a person's places of origin: "mexico" for the country and
+// "mexico/central-mexico" for the region, so a country matches everyone in
+// its regions too.
+function originKeys(person) {
+  const keys = [];
+  person.origins.forEach(origin => {
+    const country = slugify(origin.country);
+    keys.push(country);
+    if (origin.region) keys.push(`${country}/${slugify(origin.region)}`);
+  });
+  return [...new Set(keys)];
+}
+
+function byCountThenLabel(a, b) {
+  return b.count - a.count || a.label.localeCompare(b.label);
+}
+
+function addOnce(list, person) {
+  if (!list.includes(person)) list.push(person);
+}
+
+// Countries, most people first, with their regions and the people from
+// each. `elsewhere` is everyone placed in the country but not in a region
+// ("Haiti", "Monterrey, MX"). Every group keeps its places' coordinates as
+// `points` for the map, and counts people rather than places.
+function groupOrigins(people) {
+  const countries = new Map();
+  people.forEach(person => {
+    person.origins.forEach(origin => {
+      const slug = slugify(origin.country);
+      if (!countries.has(slug)) {
+        countries.set(slug, {
+          slug,
+          label: origin.country,
+          people: [],
+          regions: new Map(),
+          elsewhere: { slug, label: origin.country, people: [], points: [] },
+        });
+      }
+      const country = countries.get(slug);
+      addOnce(country.people, person);
+
+      let group = country.elsewhere;
+      if (origin.region) {
+        const regionSlug = `${slug}/${slugify(origin.region)}`;
+        if (!country.regions.has(regionSlug)) {
+          country.regions.set(regionSlug, { slug: regionSlug, label: origin.region, people: [], points: [] });
+        }
+        group = country.regions.get(regionSlug);
+      }
+      addOnce(group.people, person);
+      group.points.push({ lat: origin.lat, lon: origin.lon });
+    });
+  });
+
+  const withCount = group => ({ ...group, count: group.people.length });
+  return [...countries.values()]
+    .map(country => ({
+      ...withCount(country),
+      regions: [...country.regions.values()].map(withCount).sort(byCountThenLabel),
+      elsewhere: withCount(country.elsewhere),
+    }))
+    .sort(byCountThenLabel);
+}
+
+// The place-of-origin <select>: [{ slug, label, count, regions: [{ slug, label, count }] }]
+function originFacets(people) {
+  return groupOrigins(people).map(country => ({
+    slug: country.slug,
+    label: country.label,
+    count: country.count,
+    regions: country.regions.map(({ slug, label, count }) => ({ slug, label, count })),
+  }));
+}
+
+function yearsFacets(people) {
+  return YEARS_RANGES
+    .map(range => ({
+      slug: range.slug,
+      label: range.label,
+      count: people.filter(person => yearsRange(person) === range.slug).length,
+    }))
+    .filter(range => range.count);
+}
+
+// First and last interview day, for the date-range inputs
+function dateBounds(people) {
+  const dates = people.map(person => person.interview_date_iso).filter(Boolean).sort();
+  return { min: dates[0] || null, max: dates[dates.length - 1] || null };
+}
+
+// people: in site order, normalized.
+function galleryIndex(people) {
+  const index = {
+    order: [],
+    people: {},
+    years: yearsFacets(people),
+    origins: originFacets(people),
+    dates: dateBounds(people),
+  };
+  people.forEach(person => {
+    index.order.push(person.post_id);
+    index.people[person.post_id] = {
+      name: person.name,
+      years: person.years_in_tech_min,
+      yearsRange: yearsRange(person),
+      date: person.interview_date_iso,
+      origins: originKeys(person),
+    };
+  });
+  return index;
+}
+
+module.exports = {
+  galleryIndex,
+  groupOrigins,
+};
@@ -0,0 +1,177 @@
+/**
+ * feeds.js — Renders RSS 2.0, Atom and JSON Feed documents.
+ *
+ * Each feed is written as three files into one directory, e.g.
+ * /feed/rss.xml, /feed/atom.xml and /feed/feed.json. Entries are built by
+ * build.js as { person, date, tags, imageBytes } and passed in newest first;
+ * `date` is an ISO day or null when the interview date can't be parsed.
+ */
+
+const { escapeHtml, htmlToText } = require('./html');
+const { isoToDate } = require('./dates');
+const { SITE_URL, SITE_TITLE, PORTRAITS_PATH } = require('./site');
+
+const FEED_FILES = {
+  rss: 'rss.xml',
+  atom: 'atom.xml',
+  json: 'feed.json',
+};
+
+function absoluteUrl(urlPath) {
+  return SITE_URL + urlPath;
+}
+
+// Root-relative src/href attributes won't resolve inside a feed reader.
+function absolutizeHtml(html) {
+  return html.replace(/\b(src|href)=(["'])\/(?!\/)/g, `$1=$2${SITE_URL}/`);
+}
+
+function entryHtml(entry) {
+  const { person } = entry;
+  const hero = `<p><img src="${absoluteUrl(PORTRAITS_PATH + person.hero_image)}" alt="${escapeHtml(person.name)}" /></p>`;
+  return absolutizeHtml(`${hero}\n${person.abstract}\n${person.interview_content}`);
+}
+
+function entryTitle(entry) {
+  return entry.person.role ? `${entry.person.name} — ${entry.person.role}` : entry.person.name;
+}
+
+// Undated entries can't move the feed's own timestamp; if nothing is dated
+// fall back to the project's launch.
+function feedUpdated(entries) {
+  const dated = entries.filter(e => e.date).map(e => e.date).sort();
+  return isoToDate(dated.length ? dated[dated.length - 1] : '2016-04-04');
+}
+
+function compareEntries(a, b) {
+  if (a.date && b.date) return b.date.localeCompare(a.date);
+  if (a.date) return -1;
+  if (b.date) return 1;
+  return 0;
+}
+
+// Newest interview first; undated interviews go last. Array#sort is stable,
+// so people interviewed on the same day keep their site order.
+function sortEntries(entries) {
+  return entries.slice().sort(compareEntries);
+}
+
+function renderRss(feed, entries) {
+  const items = entries.map(entry => {
+    const url = absoluteUrl(`/${entry.person.slug}/`);
+    const image = absoluteUrl(PORTRAITS_PATH + entry.person.hero_image);
+    const lines = [
+      '    <item>',
+      `      <title>${escapeHtml(entryTitle(entry))}</title>`,
+      `      <link>${url}</link>`,
+      `      <guid isPermaLink="true">${url}</guid>`,
+    ];
+    if (entry.date) lines.push(`      <pubDate>${isoToDate(entry.date).toUTCString()}</pubDate>`);
+    entry.tags.forEach(tag => lines.push(`      <category>${escapeHtml(tag)}</category>`));
+    lines.push(
+      `      <description>${escapeHtml(htmlToText(entry.person.abstract))}</description>`,
+      `      <content:encoded>${escapeHtml(entryHtml(entry))}</content:encoded>`,
+      `      <enclosure url="${image}" length="${entry.imageBytes}" type="image/jpeg" />`,
+      `      <media:content url="${image}" medium="image" type="image/jpeg" />`,
+      '    </item>'
+    );
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${escapeHtml(feed.title)}</title>`,
+    `    <link>${absoluteUrl(feed.homePath)}</link>`,
+    `    <description>${escapeHtml(feed.description)}</description>`,
+    '    <language>en-US</language>',
+    `    <lastBuildDate>${feedUpdated(entries).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${absoluteUrl(feed.feedPath + FEED_FILES.rss)}" rel="self" type="application/rss+xml" />`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+function renderAtom(feed, entries) {
+  const updated = feedUpdated(entries).toISOString();
+  const items = entries.map(entry => {
+    const url = absoluteUrl(`/${entry.person.slug}/`);
+    const date = entry.date ? isoToDate(entry.date).toISOString() : updated;
+    const lines = [
+      '  <entry>',
+      `    <id>${url}</id>`,
+      `    <title>${escapeHtml(entryTitle(entry))}</title>`,
+      `    <link rel="alternate" type="text/html" href="${url}" />`,
+      `    <link rel="enclosure" type="image/jpeg" length="${entry.imageBytes}" href="${absoluteUrl(PORTRAITS_PATH + entry.person.hero_image)}" />`,
+    ];
+    if (entry.date) lines.push(`    <published>${date}</published>`);
+    lines.push(`    <updated>${date}</updated>`);
+    entry.tags.forEach(tag => lines.push(`    <category term="${escapeHtml(tag)}" />`));
+    lines.push(
+      `    <summary type="html">${escapeHtml(entry.person.abstract)}</summary>`,
+      `    <content type="html">${escapeHtml(entryHtml(entry))}</content>`,
+      '  </entry>'
+    );
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-US">',
+    `  <id>${absoluteUrl(feed.homePath)}</id>`,
+    `  <title>${escapeHtml(feed.title)}</title>`,
+    `  <subtitle>${escapeHtml(feed.description)}</subtitle>`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>${escapeHtml(SITE_TITLE)}</name></author>`,
+    `  <link rel="alternate" type="text/html" href="${absoluteUrl(feed.homePath)}" />`,
+    `  <link rel="self" type="application/atom+xml" href="${absoluteUrl(feed.feedPath + FEED_FILES.atom)}" />`,
+    ...items,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+function renderJsonFeed(feed, entries) {
+  const json = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: absoluteUrl(feed.homePath),
+    feed_url: absoluteUrl(feed.feedPath + FEED_FILES.json),
+    description: feed.description,
+    language: 'en-US',
+    items: entries.map(entry => {
+      const url = absoluteUrl(`/${entry.person.slug}/`);
+      const item = {
+        id: url,
+        url,
+        title: entryTitle(entry),
+        summary: htmlToText(entry.person.abstract),
+        content_html: entryHtml(entry),
+        image: absoluteUrl(PORTRAITS_PATH + entry.person.hero_image),
+      };
+      if (entry.date) item.date_published = isoToDate(entry.date).toISOString();
+      if (entry.tags.length) item.tags = entry.tags;
+      return item;
+    }),
+  };
+  return JSON.stringify(json, null, 2) + '\n';
+}
+
+// feed: { title, description, homePath, feedPath } (paths are root-relative,
+// feedPath ends in a slash). Returns { filename: contents }.
+function renderFeeds(feed, entries) {
+  const sorted = sortEntries(entries);
+  return {
+    [FEED_FILES.rss]: renderRss(feed, sorted),
+    [FEED_FILES.atom]: renderAtom(feed, sorted),
+    [FEED_FILES.json]: renderJsonFeed(feed, sorted),
+  };
+}
+
+module.exports = {
+  FEED_FILES,
+  renderFeeds,
+};
@@ -0,0 +1,128 @@
+/**
+ * html.js — Small helpers for turning the stored HTML fragments into text
+ * (and text into slugs).
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  raquo: '»',
+  laquo: '«',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+  copy: '©',
+};
+
+function decodeEntities(str) {
+  return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Strip tags and decode entities, collapsing whitespace to single spaces.
+function htmlToText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' '))
+    .replace(/[\s ]+/g, ' ')
+    .trim();
+}
+
+// Drop the paragraphs a browser would create with nothing in them: literal
+// `<p></p>`, a `<p>` that the next <p>, <div> or <blockquote> closes before
+// anything is in it (`<p><p>`), and a `</p>` with no paragraph open, which
+// browsers turn into an empty paragraph of its own. This is what the old
+// theme's `$('p:empty').remove()` did on every page load.
+function dropEmptyParagraphs(html) {
+  const tagRegex = /<(\/?)(p|div|blockquote)(?:\s[^>]*)?>/gi;
+  const drop = [];
+  let openP = null; // { start, end } of the open <p> tag while it's still empty
+  let pOpen = false;
+  let last = 0;
+  let match;
+
+  while ((match = tagRegex.exec(html)) !== null) {
+    const [tag, closing, name] = match;
+    if (match.index > last) openP = null; // something in the paragraph
+    last = match.index + tag.length;
+    const isP = name.toLowerCase() === 'p';
+
+    if (isP && closing) {
+      if (!pOpen) drop.push([match.index, last]);
+      else if (openP) drop.push([openP.start, openP.end], [match.index, last]);
+      pOpen = false;
+    } else {
+      // any other tag here closes an open paragraph first
+      if (pOpen && openP) drop.push([openP.start, openP.end]);
+      pOpen = isP;
+    }
+    openP = isP && !closing ? { start: match.index, end: last } : null;
+  }
+  if (pOpen && openP && last === html.length) drop.push([openP.start, openP.end]);
+
+  let out = '';
+  let pos = 0;
+  drop.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    out += html.slice(pos, start);
+    pos = end;
+  });
+  return out + html.slice(pos);
+}
+
+// Split an HTML fragment into the paragraphs a browser would create for it,
+// one per <p> open tag, skipping empty ones (see dropEmptyParagraphs()).
+// Returns the inner HTML of each paragraph, in document order.
+function splitParagraphs(html) {
+  const paragraphs = [];
+  const paraRegex = /<p(?:\s[^>]*)?>([\s\S]*?)(?=<\/p>|<p[\s>]|$)/g;
+  let match;
+  while ((match = paraRegex.exec(html)) !== null) {
+    if (match[1] !== '') paragraphs.push(match[1]);
+  }
+  return paragraphs;
+}
+
+// URL-safe slug from the first `maxWords` words of some text.
+function slugify(text, maxWords = Infinity) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2018\u2019]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .slice(0, maxWords)
+    .join('-');
+}
+
+module.exports = {
+  decodeEntities,
+  dropEmptyParagraphs,
+  escapeHtml,
+  htmlToText,
+  splitParagraphs,
+  slugify,
+};
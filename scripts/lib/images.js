@@ -0,0 +1,95 @@
+/**
+ * images.js — Real image dimensions and srcset candidates for portraits
+ * and thumbnails.
+ *
+ * The size in a file name isn't reliable (most "-1175x760" heroes are
+ * actually 2350 pixels wide), so dimensions always come from the JPEG
+ * header. Variants of one image share a base name and differ only in the
+ * "-<width>x<height>" suffix, e.g. Alice-Lee-hero-1200x776.jpg next to
+ * Alice-Lee-hero-1175x760.jpg; every variant found on disk becomes a
+ * srcset candidate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VARIANT_SUFFIX = /-\d+x\d+(\.[a-z]+)$/i;
+
+// Start-of-frame markers carry the dimensions; C4, C8 and CC are other
+// segment types that share the range.
+function isStartOfFrame(marker) {
+  return marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+}
+
+// Returns { width, height } from a JPEG's header, or null if the file isn't
+// a JPEG we can read. Only the few bytes at the start of each segment are
+// read, never the image data, since every build reads every portrait.
+function jpegSize(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const head = Buffer.alloc(9);
+    const readAt = offset => fs.readSync(fd, head, 0, head.length, offset);
+    if (readAt(0) < 2 || head[0] !== 0xff || head[1] !== 0xd8) return null;
+
+    let offset = 2;
+    while (readAt(offset) === head.length) {
+      if (head[0] !== 0xff) return null;
+      // padding between segments
+      if (head[1] === 0xff) {
+        offset++;
+        continue;
+      }
+      if (isStartOfFrame(head[1])) {
+        return { height: head.readUInt16BE(5), width: head.readUInt16BE(7) };
+      }
+      offset += 2 + head.readUInt16BE(2);
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function variantBase(name) {
+  return name.replace(VARIANT_SUFFIX, '$1');
+}
+
+// All variants of `name` in `dir`, smallest first:
+// [{ name, width, height }]
+function findVariants(dir, name) {
+  const base = variantBase(name);
+  return fs.readdirSync(dir)
+    .filter(file => file === name || (VARIANT_SUFFIX.test(file) && variantBase(file) === base))
+    .map(file => ({ name: file, ...jpegSize(path.join(dir, file)) }))
+    .filter(variant => variant.width)
+    .sort((a, b) => a.width - b.width);
+}
+
+// An empty SVG with the image's proportions, shown in place of a lazy image
+// until techies.js swaps the real one in
+function placeholderSrc(width, height) {
+  return `data:image/svg+xml,%3Csvg xmlns=%27http://www.w3.org/2000/svg%27 width=%27${width}%27 height=%27${height}%27%3E%3C/svg%3E`;
+}
+
+// Everything an <img> needs. `src` is the file the data names, so browsers
+// without srcset support keep showing the same picture; width/height are its
+// real dimensions so the page doesn't jump when it loads.
+function responsiveImage(dir, urlPath, name, sizes) {
+  const own = jpegSize(path.join(dir, name));
+  if (!own) throw new Error(`${path.join(dir, name)}: can't read JPEG dimensions`);
+  const variants = findVariants(dir, name);
+  return {
+    src: urlPath + name,
+    width: own.width,
+    height: own.height,
+    srcset: variants.map(v => `${urlPath}${v.name} ${v.width}w`).join(', '),
+    sizes,
+    placeholder: placeholderSrc(own.width, own.height),
+  };
+}
+
+module.exports = {
+  jpegSize,
+  findVariants,
+  responsiveImage,
+};
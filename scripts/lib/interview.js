@@ -0,0 +1,153 @@
+/**
+ * interview.js — Parses an interview_content blob into questions, answers
+ * and pull quotes.
+ *
+ * Interviewer turns are the paragraphs (or, in a few pasted-in interviews,
+ * divs) whose text is entirely bold, via <b> or <strong>. Each one starts a
+ * question whose answer runs up to the next question. Short bold asides like
+ * "Wow." or "Holy shit." are interviewer turns too, but they don't start a
+ * new question; they stay in the answer they interrupt. Pull quotes are the
+ * <blockquote>s.
+ *
+ * Every piece keeps its original markup, so rendering intro + each
+ * question + its answer gives back the stored HTML, plus the question ids.
+ */
+
+const { decodeEntities, slugify } = require('./html');
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+const TAG_REGEX = /<(\/?)([a-z][a-z0-9]*)\b[^>]*>/gi;
+const INTERJECTION_WORDS = 3;
+const WORDS_PER_MINUTE = 230;
+const ID_WORDS = 8;
+
+// Inline text of an HTML fragment: tags dropped without adding spaces, so
+// "<b>Awesome</b><span>.</span>" reads "Awesome."
+function inlineText(html) {
+  return decodeEntities(html.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]*>/g, ''))
+    .replace(/[\s ]+/g, ' ')
+    .trim();
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(word => /[a-z0-9]/i.test(word)).length;
+}
+
+// Top-level elements of a fragment: [{ tag, start, end, html }]. Text and
+// whitespace between them isn't included. Tolerates the unclosed trailing
+// <p> some WordPress exports end with.
+function topLevelBlocks(html) {
+  const blocks = [];
+  const stack = [];
+  let current = null;
+  let match;
+
+  function close(end) {
+    current.end = end;
+    current.html = html.slice(current.start, end);
+    blocks.push(current);
+    current = null;
+    stack.length = 0;
+  }
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(html)) !== null) {
+    const [tagHtml, closing, rawName] = match;
+    const name = rawName.toLowerCase();
+    if (VOID_TAGS.has(name) || tagHtml.endsWith('/>')) continue;
+
+    if (!closing) {
+      // <p> can't contain <p>; the browser closes the first one
+      if (current && name === 'p' && stack.length === 1 && stack[0] === 'p') close(match.index);
+      if (!current) current = { tag: name, start: match.index };
+      stack.push(name);
+    } else if (current) {
+      const open = stack.lastIndexOf(name);
+      if (open !== -1) stack.length = open;
+      if (!stack.length) close(TAG_REGEX.lastIndex);
+    }
+  }
+  if (current) close(html.length);
+  return blocks;
+}
+
+// An interviewer turn: some text, all of it inside <b>/<strong> apart from
+// stray punctuation.
+function isInterviewerTurn(block) {
+  if (block.tag !== 'p' && block.tag !== 'div') return false;
+  if (!/[a-z]/i.test(inlineText(block.html))) return false;
+  const outside = inlineText(block.html.replace(/<(b|strong)\b[^>]*>[\s\S]*?<\/\1>/gi, ''));
+  return /^[\s.,!?:;…"“”'’—–-]*$/.test(outside);
+}
+
+function isInterjection(text) {
+  return !text.includes('?') && wordCount(text) <= INTERJECTION_WORDS;
+}
+
+// Anchor ids come from the question text, so links survive questions being
+// added or reordered. Repeats get -2, -3, …
+function uniqueId(text, used) {
+  const base = slugify(text, ID_WORDS) || 'question';
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+  used.add(id);
+  return id;
+}
+
+// Give the question's element an id and a self-link. The link goes inside
+// the last bold element, which the stylesheet displays as a block.
+function anchorQuestion(html, id) {
+  const withId = html.replace(/^<([a-z][a-z0-9]*)/i, `<$1 id="${id}"`);
+  const link = ` <a class="question-anchor" href="#${id}" aria-label="Link to this question">#</a>`;
+  const closeAt = withId.search(/<\/(b|strong)>(?![\s\S]*<\/(b|strong)>)/i);
+  return withId.slice(0, closeAt) + link + withId.slice(closeAt);
+}
+
+// Returns {
+//   introHtml,                       markup before the first question
+//   questions: [{ id, text, html, answerHtml, answer: [block html] }],
+//   quotes: [{ text, question }],    question is an index or null
+//   wordCount, readingMinutes
+// }
+function parseInterview(html) {
+  const blocks = topLevelBlocks(html);
+  const used = new Set();
+  const questions = [];
+  const spans = [];
+  const quotes = [];
+
+  blocks.forEach(block => {
+    if (isInterviewerTurn(block) && !isInterjection(inlineText(block.html))) {
+      const text = inlineText(block.html);
+      const id = uniqueId(text, used);
+      questions.push({ id, text, html: anchorQuestion(block.html, id), answer: [] });
+      spans.push(block);
+      return;
+    }
+    const question = questions.length ? questions.length - 1 : null;
+    if (block.tag === 'blockquote') {
+      const text = inlineText(block.html).replace(/^[“”"]\s*|\s*[“”"]$/g, '');
+      if (text) quotes.push({ text, question });
+    }
+    if (question !== null && inlineText(block.html)) questions[question].answer.push(block.html);
+  });
+
+  // answers keep everything between questions, whitespace included
+  questions.forEach((q, idx) => {
+    q.answerHtml = html.slice(spans[idx].end, idx + 1 < spans.length ? spans[idx + 1].start : html.length);
+  });
+
+  const words = wordCount(inlineText(html.replace(/<\/?(p|div|blockquote|br)\b[^>]*>/gi, ' ')));
+  return {
+    introHtml: html.slice(0, spans.length ? spans[0].start : html.length),
+    questions,
+    quotes,
+    wordCount: words,
+    readingMinutes: Math.max(1, Math.round(words / WORDS_PER_MINUTE)),
+  };
+}
+
+module.exports = {
+  parseInterview,
+  topLevelBlocks,
+};
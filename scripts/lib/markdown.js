@@ -0,0 +1,293 @@
+/**
+ * markdown.js — The Markdown that src/content/*.md is written in, and the
+ * converter from the stored HTML to it.
+ *
+ * A small dialect, chosen so the existing interviews convert without
+ * changing a byte of the built pages:
+ *
+ *   - paragraphs are separated by blank lines; a line break inside one stays
+ *     a line break
+ *   - lines starting with `>` are a blockquote (the pull quotes)
+ *   - **strong**, __b__, *em* and _i_. The interviews use both <b> and
+ *     <strong>, so each keeps its own marker.
+ *   - [text](url) links
+ *   - ' and " become curly quotes, ... an ellipsis, -- an en dash and --- an
+ *     em dash, written as the numeric entities WordPress used (&#8217; etc.)
+ *   - HTML passes through: a block that starts with a block-level tag is
+ *     copied as it is, and tags and entities inside a paragraph are kept
+ *   - a backslash keeps the punctuation after it as typed: \* \_ \' \\
+ *
+ * A blank line at the very end keeps a newline at the end of the HTML.
+ */
+
+const { decodeEntities } = require('./html');
+const { topLevelBlocks } = require('./interview');
+
+const BLOCK_TAGS = 'address|article|aside|blockquote|details|div|dl|figure|footer|form|h[1-6]|header|hr|iframe|ol|p|pre|section|table|ul';
+const HTML_BLOCK_REGEX = new RegExp(`^<(?:!--|/?(?:${BLOCK_TAGS})(?=[\\s/>]|$))`, 'i');
+const TAG_REGEX = /<!--[\s\S]*?-->|<\/?[a-z][a-z0-9-]*(?:\s[^<>]*)?\/?>/iy;
+const ENTITY_REGEX = /&(?:#[0-9]+|#x[0-9a-f]+|[a-z][a-z0-9]*);/iy;
+const LINK_REGEX = /\[([^[\]]*)\]\(([^()\s"<>]+)\)/y;
+const ESCAPABLE = /[!-/:-@[-`{-~]/;
+const PUNCTUATION = [['---', '&#8212;'], ['--', '&#8211;'], ['...', '&#8230;']];
+const EMPHASIS = { '**': 'strong', '__': 'b', '*': 'em', '_': 'i' };
+const EMPHASIS_TAGS = { b: '__', strong: '**', em: '*', i: '_' };
+
+// A quote opens at the start of the text or after a space, a bracket, a
+// dash or another opening quote; anywhere else it closes (or is an
+// apostrophe)
+function smartQuote(quote, prev) {
+  const opening = prev === '' || /[\s([{‘“–—-]/.test(prev);
+  if (quote === "'") return opening ? '&#8216;' : '&#8217;';
+  return opening ? '&#8220;' : '&#8221;';
+}
+
+function matchAt(regex, src, pos) {
+  regex.lastIndex = pos;
+  const m = regex.exec(src);
+  return m && m[0].length ? m : null;
+}
+
+// ---------------------------------------------------------------------------
+// Markdown -> HTML
+// ---------------------------------------------------------------------------
+
+// Length of an escape, tag or link at `pos`, which emphasis markers inside
+// don't count
+function protectedLength(src, pos) {
+  if (src[pos] === '\\' && ESCAPABLE.test(src[pos + 1] || '')) return 2;
+  const m = matchAt(TAG_REGEX, src, pos) || matchAt(LINK_REGEX, src, pos);
+  return m ? m[0].length : 0;
+}
+
+// Index of the marker that closes emphasis opened just before `from`, or -1
+function findCloser(src, from, marker) {
+  for (let j = from; j < src.length;) {
+    const skip = protectedLength(src, j);
+    if (skip) {
+      j += skip;
+    } else if (marker.length === 1 && src[j] === marker && src[j + 1] === marker) {
+      j += 2;
+    } else if (src.startsWith(marker, j) && j > from && !/\s/.test(src[j - 1]) &&
+        (marker[0] !== '_' || !/[a-z0-9]/i.test(src[j + marker.length] || ''))) {
+      return j;
+    } else {
+      j++;
+    }
+  }
+  return -1;
+}
+
+// `state.prev` is the last character of text written so far, tags aside,
+// which decides whether a quote opens or closes
+function renderInline(src, state = { prev: '' }) {
+  let out = '';
+  let i = 0;
+  const text = (html, char) => {
+    out += html;
+    state.prev = char;
+  };
+
+  while (i < src.length) {
+    const c = src[i];
+    let m;
+
+    if (c === '\\' && ESCAPABLE.test(src[i + 1] || '')) {
+      text(src[i + 1], src[i + 1]);
+      i += 2;
+    } else if (c === '<' && (m = matchAt(TAG_REGEX, src, i))) {
+      out += m[0];
+      i += m[0].length;
+    } else if (c === '&' && (m = matchAt(ENTITY_REGEX, src, i))) {
+      text(m[0], decodeEntities(m[0]));
+      i += m[0].length;
+    } else if (c === '&' || c === '<') {
+      text(c === '&' ? '&amp;' : '&lt;', c);
+      i++;
+    } else if (c === '[' && (m = matchAt(LINK_REGEX, src, i))) {
+      out += `<a href="${m[2]}">${renderInline(m[1], state)}</a>`;
+      i += m[0].length;
+    } else if (c === '*' || c === '_') {
+      const marker = src[i + 1] === c ? c + c : c;
+      const start = i + marker.length;
+      const opens = src[start] && !/\s/.test(src[start]) && (c === '*' || !/[a-z0-9]/i.test(src[i - 1] || ''));
+      const end = opens ? findCloser(src, start, marker) : -1;
+      if (end === -1) {
+        text(marker, c);
+        i = start;
+      } else {
+        const tag = EMPHASIS[marker];
+        out += `<${tag}>${renderInline(src.slice(start, end), state)}</${tag}>`;
+        i = end + marker.length;
+      }
+    } else if (c === "'" || c === '"') {
+      const entity = smartQuote(c, state.prev);
+      text(entity, decodeEntities(entity));
+      i++;
+    } else {
+      const punctuation = PUNCTUATION.find(([chars]) => src.startsWith(chars, i));
+      if (punctuation) {
+        text(punctuation[1], decodeEntities(punctuation[1]));
+        i += punctuation[0].length;
+      } else {
+        text(c, c);
+        i++;
+      }
+    }
+  }
+  return out;
+}
+
+// Lines grouped into blocks at blank lines
+function splitBlocks(md) {
+  const blocks = [];
+  let lines = [];
+  md.split('\n').forEach(line => {
+    if (line.trim() === '') {
+      if (lines.length) blocks.push(lines);
+      lines = [];
+    } else {
+      lines.push(line);
+    }
+  });
+  if (lines.length) blocks.push(lines);
+  return blocks;
+}
+
+function renderBlock(lines) {
+  if (HTML_BLOCK_REGEX.test(lines[0])) return lines.join('\n');
+  if (/^ {0,3}>/.test(lines[0])) {
+    const inner = lines.map(line => line.replace(/^ {0,3}> ?/, '')).join('\n');
+    return `<blockquote>${splitBlocks(inner).map(renderBlock).join('\n')}</blockquote>`;
+  }
+  return `<p>${renderInline(lines.join('\n'))}</p>`;
+}
+
+function renderMarkdown(md) {
+  const text = md.replace(/\r\n?/g, '\n');
+  const html = splitBlocks(text).map(renderBlock).join('\n');
+  return html && /\n[ \t]*\n\s*$/.test(text) ? `${html}\n` : html;
+}
+
+// ---------------------------------------------------------------------------
+// HTML -> Markdown
+// ---------------------------------------------------------------------------
+
+// Entities the Markdown can spell with plain characters, given the text
+// before them
+function plainEntity(entity, prev, rest) {
+  const char = decodeEntities(entity);
+  if (char === '’' || char === '‘') return smartQuote("'", prev) === `&#${char.codePointAt(0)};` ? "'" : null;
+  if (char === '“' || char === '”') return smartQuote('"', prev) === `&#${char.codePointAt(0)};` ? '"' : null;
+  if (entity === '&#8230;') return '...';
+  if (entity === '&#8211;') return '--';
+  if (entity === '&#8212;') return '---';
+  if (entity === '&amp;') return matchAt(ENTITY_REGEX, `&${rest}`, 0) ? null : '&';
+  return null;
+}
+
+// Inline HTML -> Markdown. `level` 2 also writes emphasis and links as
+// Markdown, level 1 keeps every tag, level 0 keeps entities as well.
+function inlineToMarkdown(html, level) {
+  let md = '';
+  let prev = '';
+  const links = [];
+  let i = 0;
+
+  while (i < html.length) {
+    const c = html[i];
+    let m;
+
+    if (c === '<' && (m = matchAt(TAG_REGEX, html, i))) {
+      const tag = m[0];
+      const emphasis = /^<(\/?)(b|strong|em|i)>$/i.exec(tag);
+      const link = /^<a href="([^()\s"<>[\]]+)">$/i.exec(tag);
+      if (level === 2 && emphasis) {
+        md += EMPHASIS_TAGS[emphasis[2].toLowerCase()];
+      } else if (/^<a\b/i.test(tag)) {
+        links.push(level === 2 && link ? link[1] : null);
+        md += level === 2 && link ? '[' : tag;
+      } else if (/^<\/a>$/i.test(tag) && links.length) {
+        const url = links.pop();
+        md += url ? `](${url})` : tag;
+      } else {
+        md += tag;
+      }
+      i += tag.length;
+    } else if (c === '&' && (m = matchAt(ENTITY_REGEX, html, i))) {
+      const plain = level > 0 ? plainEntity(m[0], prev, html.slice(i + m[0].length)) : null;
+      md += plain === null ? m[0] : plain;
+      prev = decodeEntities(m[0]);
+      i += m[0].length;
+    } else {
+      const next = html.slice(i + 1);
+      const special = /[\\*_[\]'"&<]/.test(c) ||
+        (c === '>' && (md === '' || md.endsWith('\n'))) ||
+        (c === '.' && /^(\.|&#8230;)/.test(next)) ||
+        (c === '-' && (/^(-|&#821[12];)/.test(next) || /(^|[^\\])-$/.test(md)));
+      md += special ? `\\${c}` : c;
+      prev = c;
+      i++;
+    }
+  }
+  return md;
+}
+
+// Ways to write one top-level element, most readable first
+function blockCandidates(html) {
+  const candidates = [];
+  const p = /^<p>([\s\S]*)<\/p>$/.exec(html);
+  if (p && !/<\/?p\b/i.test(p[1])) {
+    [2, 1, 0].forEach(level => {
+      const md = inlineToMarkdown(p[1], level);
+      if (!HTML_BLOCK_REGEX.test(md)) candidates.push(md);
+    });
+  }
+  const quote = /^<blockquote>([\s\S]*)<\/blockquote>$/.exec(html);
+  if (quote) {
+    const inner = htmlToMarkdown(quote[1]);
+    if (inner) candidates.push(inner.trimEnd().split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+  }
+  candidates.push(html);
+  return candidates;
+}
+
+// Markdown that renders back to exactly `html`, or null when there is none:
+// text outside any element, or a blank line inside one. Elements are written
+// in Markdown where that gives the same HTML and copied as HTML otherwise.
+// The result ends with a newline, and a blank line if `html` ends with one.
+function htmlToMarkdown(html) {
+  const blocks = topLevelBlocks(html);
+  if (!blocks.length) return html === '' ? '' : null;
+
+  const first = blocks[0];
+  const last = blocks[blocks.length - 1];
+  const tail = html.slice(last.end);
+  if (first.start !== 0 || (tail !== '' && tail !== '\n')) return null;
+
+  // Elements separated by anything but a single newline stay together
+  const chunks = [{ start: first.start, end: first.end }];
+  for (let idx = 1; idx < blocks.length; idx++) {
+    const gap = html.slice(blocks[idx - 1].end, blocks[idx].start);
+    if (gap === '\n') chunks.push({ start: blocks[idx].start, end: blocks[idx].end });
+    else if (/^\s*$/.test(gap)) chunks[chunks.length - 1].end = blocks[idx].end;
+    else return null;
+  }
+
+  const parts = [];
+  for (const { start, end } of chunks) {
+    const chunk = html.slice(start, end);
+    const md = blockCandidates(chunk)
+      .find(candidate => !/\n[ \t]*\n/.test(candidate) && renderMarkdown(candidate) === chunk);
+    if (md === undefined) return null;
+    parts.push(md);
+  }
+
+  const md = `${parts.join('\n\n')}\n${tail ? '\n' : ''}`;
+  return renderMarkdown(md) === html ? md : null;
+}
+
+module.exports = {
+  htmlToMarkdown,
+  renderMarkdown,
+};
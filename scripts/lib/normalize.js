@@ -0,0 +1,157 @@
+/**
+ * normalize.js — Typed versions of the free-text fields in people.json.
+ *
+ * The display strings stay as they are; build.js runs normalizePeople()
+ * after validation and every record gains:
+ *
+ *   years_in_tech_min         "20+" -> 20, "1.5" -> 1.5, null if unparseable
+ *   years_in_tech_open_ended  true for "20+"
+ *   interview_date_iso        "March 11, 2016" -> "2016-03-11", or null
+ *   origins                   "San Jose, CA and Houston, TX" ->
+ *                             [{ city, region, country, country_code, lat, lon }, ...]
+ *
+ * Places are resolved against src/data/gazetteer.json, so nothing needs a
+ * network lookup. Values that can't be parsed are reported as warnings;
+ * adding the missing place to the gazetteer (or fixing the record) clears
+ * them.
+ */
+
+const { parseHumanDate } = require('./dates');
+
+// "Thailand / West Oakland", "San Jose, CA and Houston, TX"
+const PLACE_SEPARATOR = /\s*\/\s*|\s+and\s+/;
+
+function key(name) {
+  return name.trim().toLowerCase().replace(/\bst\.?\s/g, 'saint ');
+}
+
+// ---------------------------------------------------------------------------
+// Gazetteer lookups
+// ---------------------------------------------------------------------------
+
+// Indexes gazetteer.json by lower-cased name and alias. Cities can share a
+// name, so each city key holds a list.
+function indexGazetteer(gazetteer) {
+  const countries = new Map();
+  const regions = new Map();
+  const cities = new Map();
+
+  gazetteer.countries.forEach(country => {
+    [country.name, ...country.aliases].forEach(name => countries.set(key(name), country));
+  });
+  const countryByCode = new Map(gazetteer.countries.map(country => [country.code, country]));
+
+  gazetteer.regions.forEach(region => {
+    [region.name, ...region.aliases].forEach(name => regions.set(key(name), region));
+  });
+  gazetteer.cities.forEach(city => {
+    [city.name, ...city.aliases].forEach(name => {
+      if (!cities.has(key(name))) cities.set(key(name), []);
+      cities.get(key(name)).push(city);
+    });
+  });
+
+  return { countries, regions, cities, countryByCode };
+}
+
+// entry: the gazetteer city, region or country the coordinates come from
+function place(index, entry, city, region) {
+  const country = index.countryByCode.get(entry.country || entry.code);
+  return {
+    city: city || null,
+    region: region || null,
+    country: country.name,
+    country_code: country.code,
+    lat: entry.lat,
+    lon: entry.lon,
+  };
+}
+
+// One place: "Brooklyn, NY", "Kiev, Ukraine", "Iowa", "Haiti", "Miami".
+// Returns { place, error }, with either one or both set.
+function resolvePlace(index, text) {
+  const [name, qualifier] = text.split(/\s*,\s*/);
+
+  if (qualifier === undefined) {
+    const cities = index.cities.get(key(name)) || [];
+    if (cities.length === 1) return { place: place(index, cities[0], cities[0].name, cities[0].region) };
+    if (cities.length > 1) return { error: `"${name}" is more than one city in the gazetteer; add a region` };
+    const region = index.regions.get(key(name));
+    if (region) return { place: place(index, region, null, region.name) };
+    const country = index.countries.get(key(name));
+    if (country) return { place: place(index, country, null, null) };
+    return { error: `"${name}" is not in the gazetteer` };
+  }
+
+  const region = index.regions.get(key(qualifier));
+  const country = region ? index.countryByCode.get(region.country) : index.countries.get(key(qualifier));
+  if (!country) return { error: `"${qualifier}" is not a region or country in the gazetteer` };
+
+  const city = (index.cities.get(key(name)) || []).find(c => c.country === country.code && (!region || c.region === region.name));
+  if (city) return { place: place(index, city, city.name, city.region) };
+  // keep the city name, but only the region or country has coordinates
+  return {
+    place: place(index, region || country, name, region ? region.name : null),
+    error: `"${name}" is not in the gazetteer for ${qualifier}; placed at ${region ? region.name : country.name}`,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Fields
+// ---------------------------------------------------------------------------
+
+// "18" -> { min: 18, openEnded: false }, "20+" -> { min: 20, openEnded: true }
+function parseYears(value) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*(\+)?\s*$/.exec(value || '');
+  return m ? { min: parseFloat(m[1]), openEnded: Boolean(m[2]) } : null;
+}
+
+function parseOrigins(index, location) {
+  const origins = [];
+  const errors = [];
+  location.split(PLACE_SEPARATOR).filter(Boolean).forEach(text => {
+    const result = resolvePlace(index, text);
+    if (result.place) origins.push(result.place);
+    if (result.error) errors.push(result.error);
+  });
+  return { origins, errors };
+}
+
+// Adds the typed fields to each record in place. Returns { warnings }.
+function normalizePeople(people, gazetteer) {
+  const index = indexGazetteer(gazetteer);
+  const warnings = [];
+  const empty = { years_in_tech: [], interview_date: [], location: [] };
+
+  people.forEach(person => {
+    const years = parseYears(person.years_in_tech);
+    person.years_in_tech_min = years ? years.min : null;
+    person.years_in_tech_open_ended = years ? years.openEnded : false;
+    person.interview_date_iso = parseHumanDate(person.interview_date);
+
+    const location = (person.location || '').trim();
+    const { origins, errors } = parseOrigins(index, location);
+    person.origins = origins;
+
+    ['years_in_tech', 'interview_date', 'location'].forEach(field => {
+      if (!(person[field] || '').trim()) empty[field].push(person.slug);
+    });
+    if (!years && (person.years_in_tech || '').trim()) {
+      warnings.push(`${person.slug}: can't parse years_in_tech "${person.years_in_tech}"`);
+    }
+    if (!person.interview_date_iso && (person.interview_date || '').trim()) {
+      warnings.push(`${person.slug}: can't parse interview_date "${person.interview_date}"`);
+    }
+    errors.forEach(error => warnings.push(`${person.slug}: location ${error}`));
+  });
+
+  Object.entries(empty).forEach(([field, slugs]) => {
+    if (slugs.length) warnings.push(`${field} is empty for ${slugs.length} ${slugs.length === 1 ? 'person' : 'people'}: ${slugs.join(', ')}`);
+  });
+  return { warnings };
+}
+
+module.exports = {
+  normalizePeople,
+  parseYears,
+};
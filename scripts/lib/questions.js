@@ -0,0 +1,93 @@
+/**
+ * questions.js — Groups the questions asked across interviews, for the
+ * /questions/ pages.
+ *
+ * Most interviews reuse a handful of prompts with small variations ("Let's
+ * start from the beginning. Tell me a bit about your early years…", "So, tell
+ * me about your early years…"). Questions are grouped by a normalized key:
+ * lead-in sentences and filler words are dropped, numbers are spelled out, and
+ * only the first sentence counts, so "What are your biggest motivators? What
+ * drives you?" groups with "What are your biggest motivators?".
+ */
+
+const { slugify } = require('./html');
+
+// Questions asked in at least this many interviews get a page
+const MIN_INTERVIEWS = 3;
+// Follow-ups like "Really?" or "How so?" only make sense in context
+const MIN_KEY_WORDS = 4;
+const SLUG_WORDS = 10;
+
+const OPENER = /^(ok(ay)?|so|alright|all right|great|cool|well)?\s*((lets|why dont we) (start|begin|get started)\b.*|ok(ay)?|so|alright|all right|great|cool)$/;
+const FILLER_WORDS = new Set(['a', 'bit', 'little', 'so', 'okay', 'ok', 'well', 'that', 'just', 'really']);
+const SPELLED = { 5: 'five', 10: 'ten', vs: 'versus', howd: 'how did', whatd: 'what did' };
+// "Tell me more about that." refers back to the previous answer
+const REFERS_BACK = /\b(that|this|it|those)$/;
+
+function sentences(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2018\u2019]/g, '')
+    .split(/[.?!]+/)
+    .map(sentence => sentence.replace(/[^a-z0-9]+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Returns the grouping key for a question, or null if it shouldn't be grouped.
+function questionKey(text) {
+  const rest = sentences(text);
+  // "Let's go macro for a second." and other lead-ins that don't ask anything
+  while (rest.length > 1 && (OPENER.test(rest[0]) || !/\byou/.test(rest[0]))) rest.shift();
+  if (!rest.length || REFERS_BACK.test(rest[0])) return null;
+
+  const words = rest[0].split(' ')
+    .map(word => SPELLED[word] || word)
+    .join(' ')
+    .split(' ')
+    .filter(word => !FILLER_WORDS.has(word));
+  return words.length >= MIN_KEY_WORDS ? words.join(' ') : null;
+}
+
+// The wording most interviews used, shortest first on a tie.
+function commonWording(texts) {
+  const counts = new Map();
+  texts.forEach(text => counts.set(text, (counts.get(text) || 0) + 1));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0][0];
+}
+
+// people: in site order; interviews: { slug: parseInterview() result }.
+// Returns [{ slug, title, answers: [{ person, question }] }], most answered
+// first. Each person answers a group at most once (their first asking).
+function groupQuestions(people, interviews) {
+  const groups = new Map();
+
+  people.forEach(person => {
+    const seen = new Set();
+    interviews[person.slug].questions.forEach(question => {
+      const key = questionKey(question.text);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ person, question });
+    });
+  });
+
+  const used = new Set();
+  return [...groups.values()]
+    .filter(answers => answers.length >= MIN_INTERVIEWS)
+    .sort((a, b) => b.length - a.length)
+    .map(answers => {
+      const title = commonWording(answers.map(a => a.question.text));
+      let slug = slugify(title, SLUG_WORDS);
+      for (let n = 2; used.has(slug); n++) slug = `${slugify(title, SLUG_WORDS)}-${n}`;
+      used.add(slug);
+      return { slug, title, answers };
+    });
+}
+
+module.exports = {
+  groupQuestions,
+};
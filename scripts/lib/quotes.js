@@ -0,0 +1,48 @@
+/**
+ * quotes.js — The pull quotes from every interview, for the /quotes/ wall
+ * and the homepage's quote of the day.
+ *
+ * The quote of the day is picked from a hash of the date, so every visitor
+ * sees the same quote all day without a server deciding it. dailyIndex()
+ * must stay in sync with the copy in assets/js/techies.js.
+ */
+
+// people: in site order; interviews: { slug: parseInterview() result }.
+// Returns [{ text, person, href }], each linking to the question the quote
+// comes from.
+function collectQuotes(people, interviews) {
+  const quotes = [];
+  people.forEach(person => {
+    const { questions } = interviews[person.slug];
+    interviews[person.slug].quotes.forEach(quote => {
+      const anchor = quote.question === null ? '' : `#${questions[quote.question].id}`;
+      quotes.push({ text: quote.text, person, href: `/${person.slug}/${anchor}` });
+    });
+  });
+  return quotes;
+}
+
+// Local calendar day as YYYY-MM-DD
+function dayKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// FNV-1a of the day key, so consecutive days land far apart in the list.
+function dailyIndex(day, count) {
+  let hash = 2166136261;
+  for (let i = 0; i < day.length; i++) {
+    hash ^= day.charCodeAt(i);
+    hash = Math.imul(hash, 16777619) >>> 0;
+  }
+  return hash % count;
+}
+
+function quoteOfTheDay(quotes, date) {
+  return quotes.length ? quotes[dailyIndex(dayKey(date), quotes.length)] : null;
+}
+
+module.exports = {
+  collectQuotes,
+  quoteOfTheDay,
+};
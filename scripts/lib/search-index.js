@@ -0,0 +1,110 @@
+/**
+ * search-index.js — Builds the client-side full-text search index.
+ *
+ * The index maps each term to a flat postings list of
+ * [docIndex, weight, docIndex, weight, ...] where `weight` is a precomputed
+ * BM25-style score (x10) summed across the weighted fields. The browser only
+ * has to add up weight * idf, so the index stays small.
+ *
+ * Paragraph text lives in one shard per person, fetched only for the
+ * results that are actually shown, to pick and render snippets.
+ *
+ * tokenize() must stay in sync with the copy in assets/js/search.js.
+ */
+
+const { htmlToText, splitParagraphs } = require('./html');
+
+const FIELD_WEIGHTS = {
+  name: 10,
+  role: 5,
+  location: 3,
+  abstract: 2,
+  content: 1,
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set((
+  'a an and are as at be but by for from had has have he her his i if in into is it its ' +
+  'me my of on or our she so than that the their them then there they this to was we ' +
+  'were what when which who will with you your'
+).split(' '));
+
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2018\u2019]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(t => t && !STOPWORDS.has(t));
+}
+
+function countTerms(tokens) {
+  const counts = new Map();
+  tokens.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+  return counts;
+}
+
+function buildSearchIndex(people) {
+  const fields = Object.keys(FIELD_WEIGHTS);
+  const shards = {};
+
+  const docs = people.map(person => {
+    const paragraphs = splitParagraphs(person.interview_content)
+      .map(htmlToText);
+    const abstract = htmlToText(person.abstract);
+    shards[person.slug] = { abstract, paragraphs };
+
+    const tokens = {
+      name: tokenize(person.name),
+      role: tokenize(person.role),
+      location: tokenize(person.location),
+      abstract: tokenize(abstract),
+      content: tokenize(paragraphs.join(' ')),
+    };
+    return { person, tokens };
+  });
+
+  const avgLength = {};
+  fields.forEach(f => {
+    const total = docs.reduce((sum, d) => sum + d.tokens[f].length, 0);
+    avgLength[f] = total / docs.length || 1;
+  });
+
+  const terms = {};
+  docs.forEach((doc, docIdx) => {
+    const weights = new Map();
+    fields.forEach(f => {
+      const lengthNorm = 1 - B + B * (doc.tokens[f].length / avgLength[f]);
+      countTerms(doc.tokens[f]).forEach((tf, term) => {
+        const score = FIELD_WEIGHTS[f] * (tf * (K1 + 1)) / (tf + K1 * lengthNorm);
+        weights.set(term, (weights.get(term) || 0) + score);
+      });
+    });
+
+    weights.forEach((weight, term) => {
+      if (!terms[term]) terms[term] = [];
+      terms[term].push(docIdx, Math.round(weight * 10));
+    });
+  });
+
+  const index = {
+    docs: docs.map(({ person }) => ({
+      slug: person.slug,
+      name: person.name,
+      role: person.role,
+      thumbnail: person.thumbnail,
+    })),
+    terms,
+  };
+
+  return { index, shards };
+}
+
+module.exports = {
+  buildSearchIndex,
+  tokenize,
+};
@@ -0,0 +1,237 @@
+/**
+ * seo.js — Per-page <head> metadata, JSON-LD and the sitemap.
+ *
+ * Every page gets a title, description, canonical URL, Open Graph and
+ * Twitter card tags; pageMeta() builds the object that
+ * templates/partials/meta.html renders, and the *Meta() helpers below fill
+ * it in for each kind of page.
+ */
+
+const { escapeHtml, htmlToText } = require('./html');
+const { SITE_URL, SITE_TITLE, SITE_DESCRIPTION, PORTRAITS_PATH, CATEGORIES_PATH } = require('./site');
+const { isListed, personPath } = require('./status');
+
+const DEFAULT_IMAGE = '/assets/images/techies-about.png';
+const TWITTER_HANDLE = '@techiesproject';
+const DESCRIPTION_LENGTH = 160;
+
+function absoluteUrl(urlPath) {
+  return SITE_URL + urlPath;
+}
+
+// Plain-text description cut at a word boundary.
+function describe(html) {
+  const text = htmlToText(html);
+  if (text.length <= DESCRIPTION_LENGTH) return text;
+  const cut = text.slice(0, DESCRIPTION_LENGTH - 1);
+  return cut.slice(0, cut.lastIndexOf(' ')).replace(/[\s,;:.—–-]+$/, '') + '…';
+}
+
+function jsonLd(graph) {
+  // "</script>" inside a string would end the element early
+  return JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }, null, 2)
+    .replace(/<\//g, '<\\/');
+}
+
+function breadcrumbs(items) {
+  return {
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((item, idx) => ({
+      '@type': 'ListItem',
+      position: idx + 1,
+      name: item.name,
+      item: absoluteUrl(item.path),
+    })),
+  };
+}
+
+// page: { title, description, path, image, type, jsonLd, noindex }
+// `title` is the page's own title; the site name is appended for <title>.
+function pageMeta(page) {
+  return {
+    siteName: SITE_TITLE,
+    title: page.title ? `${page.title} | ${SITE_TITLE}` : SITE_TITLE,
+    socialTitle: page.title || SITE_TITLE,
+    description: page.description || SITE_DESCRIPTION,
+    url: absoluteUrl(page.path),
+    image: absoluteUrl(page.image || DEFAULT_IMAGE),
+    type: page.type || 'website',
+    twitterSite: TWITTER_HANDLE,
+    noindex: Boolean(page.noindex),
+    jsonLd: page.jsonLd ? jsonLd(page.jsonLd) : null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Page kinds
+// ---------------------------------------------------------------------------
+
+// Drafts and unlisted interviews are kept out of search engines
+function personMeta(person) {
+  const urlPath = personPath(person);
+  const url = absoluteUrl(urlPath);
+  const image = person.hero_image ? PORTRAITS_PATH + person.hero_image : DEFAULT_IMAGE;
+  const title = person.role ? `${person.name} — ${person.role}` : person.name;
+  const description = describe(person.abstract) || `An interview with ${person.name}.`;
+  const published = person.interview_date_iso;
+
+  const personLd = {
+    '@type': 'Person',
+    '@id': `${url}#person`,
+    name: person.name,
+    image: absoluteUrl(image),
+    url,
+  };
+  if (person.role) personLd.jobTitle = person.role;
+  if (person.location) personLd.homeLocation = { '@type': 'Place', name: person.location };
+  if (person.personal_links.length) personLd.sameAs = person.personal_links.map(l => l.url);
+
+  const article = {
+    '@type': 'Article',
+    '@id': `${url}#interview`,
+    headline: title,
+    description,
+    image: absoluteUrl(image),
+    about: { '@id': `${url}#person` },
+    publisher: { '@type': 'Organization', name: SITE_TITLE, url: absoluteUrl('/') },
+    mainEntityOfPage: url,
+  };
+  if (published) article.datePublished = published;
+
+  return pageMeta({
+    title,
+    description,
+    path: urlPath,
+    image,
+    type: 'article',
+    noindex: !isListed(person),
+    jsonLd: [
+      { '@type': 'ProfilePage', '@id': url, url, name: title, mainEntity: { '@id': `${url}#person` } },
+      personLd,
+      article,
+      breadcrumbs([
+        { name: SITE_TITLE, path: '/' },
+        { name: person.name, path: urlPath },
+      ]),
+    ],
+  });
+}
+
+function categoryMeta(cat, members) {
+  const urlPath = `${CATEGORIES_PATH}${cat.slug}/`;
+  const count = members.length;
+  const description = `${count} ${count === 1 ? 'interview' : 'interviews'} in the ${cat.display_name} category. ${cat.description || SITE_DESCRIPTION}`;
+
+  return pageMeta({
+    title: cat.display_name,
+    description,
+    path: urlPath,
+    image: members.length ? PORTRAITS_PATH + members[0].hero_image : null,
+    jsonLd: [
+      {
+        '@type': 'CollectionPage',
+        '@id': absoluteUrl(urlPath),
+        url: absoluteUrl(urlPath),
+        name: `${cat.display_name} | ${SITE_TITLE}`,
+        description,
+        mainEntity: {
+          '@type': 'ItemList',
+          numberOfItems: count,
+          itemListElement: members.map((person, idx) => ({
+            '@type': 'ListItem',
+            position: idx + 1,
+            url: absoluteUrl(`/${person.slug}/`),
+            name: person.name,
+          })),
+        },
+      },
+      breadcrumbs([
+        { name: SITE_TITLE, path: '/' },
+        { name: 'Categories', path: CATEGORIES_PATH },
+        { name: cat.display_name, path: urlPath },
+      ]),
+    ],
+  });
+}
+
+// page: { title, description, path, schemaType, noindex, parent }
+// `parent` ({ name, path }) adds a breadcrumb between the homepage and this page.
+function staticPageMeta(page) {
+  const crumbs = [{ name: SITE_TITLE, path: '/' }];
+  if (page.parent) crumbs.push(page.parent);
+  if (page.path !== '/') crumbs.push({ name: page.title, path: page.path });
+
+  return pageMeta({
+    title: page.title,
+    description: page.description,
+    path: page.path,
+    noindex: page.noindex,
+    jsonLd: [
+      {
+        '@type': page.schemaType || 'WebPage',
+        '@id': absoluteUrl(page.path),
+        url: absoluteUrl(page.path),
+        name: page.title ? `${page.title} | ${SITE_TITLE}` : SITE_TITLE,
+        description: page.description || SITE_DESCRIPTION,
+      },
+      breadcrumbs(crumbs),
+    ],
+  });
+}
+
+function homepageMeta() {
+  return pageMeta({
+    path: '/',
+    jsonLd: [
+      {
+        '@type': 'WebSite',
+        '@id': `${absoluteUrl('/')}#website`,
+        url: absoluteUrl('/'),
+        name: SITE_TITLE,
+        description: SITE_DESCRIPTION,
+        potentialAction: {
+          '@type': 'SearchAction',
+          target: `${absoluteUrl('/search/')}?q={search_term_string}`,
+          'query-input': 'required name=search_term_string',
+        },
+      },
+      {
+        '@type': 'CollectionPage',
+        '@id': absoluteUrl('/'),
+        url: absoluteUrl('/'),
+        name: SITE_TITLE,
+        isPartOf: { '@id': `${absoluteUrl('/')}#website` },
+      },
+    ],
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Sitemap
+// ---------------------------------------------------------------------------
+
+// entries: [{ path, lastmod }] with lastmod an ISO day or null
+function renderSitemap(entries) {
+  const urls = entries.map(entry => {
+    const lines = ['  <url>', `    <loc>${escapeHtml(absoluteUrl(entry.path))}</loc>`];
+    if (entry.lastmod) lines.push(`    <lastmod>${entry.lastmod}</lastmod>`);
+    lines.push('  </url>');
+    return lines.join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  pageMeta,
+  personMeta,
+  categoryMeta,
+  staticPageMeta,
+  homepageMeta,
+  renderSitemap,
+};
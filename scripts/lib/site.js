@@ -0,0 +1,12 @@
+/**
+ * site.js — Site-wide constants shared by the build helpers.
+ */
+
+module.exports = {
+  SITE_URL: 'https://techiesproject.com',
+  SITE_TITLE: 'Techies',
+  SITE_DESCRIPTION: 'Techies is a portrait project focused on sharing stories of tech employees in Silicon Valley.',
+  PORTRAITS_PATH: '/d1lhy388c2xgxf/portraits/',
+  THUMBNAILS_PATH: '/d1lhy388c2xgxf/thumbnails/',
+  CATEGORIES_PATH: '/category/',
+};
@@ -0,0 +1,39 @@
+/**
+ * status.js — Publication states for people.json records.
+ *
+ *   published  the default; listed everywhere
+ *   unlisted   page built at /<slug>/ with noindex, but left out of every
+ *              listing: homepage, category pages, feeds, sitemap, search,
+ *              quotes, questions, origins and timeline
+ *   draft      page built at /preview/<slug>/ with noindex and a banner,
+ *              left out of every listing
+ */
+
+const STATUSES = ['published', 'unlisted', 'draft'];
+const PREVIEW_PATH = '/preview/';
+
+function personStatus(person) {
+  return person.status || 'published';
+}
+
+function isListed(person) {
+  return personStatus(person) === 'published';
+}
+
+function isDraft(person) {
+  return personStatus(person) === 'draft';
+}
+
+// URL path of the person's page
+function personPath(person) {
+  return isDraft(person) ? `${PREVIEW_PATH}${person.slug}/` : `/${person.slug}/`;
+}
+
+module.exports = {
+  STATUSES,
+  PREVIEW_PATH,
+  personStatus,
+  isListed,
+  isDraft,
+  personPath,
+};
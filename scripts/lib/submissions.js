@@ -0,0 +1,249 @@
+/**
+ * submissions.js — Turns exported submit-form entries into draft people.json
+ * records, for scripts/import-submissions.js.
+ *
+ * Reads any of:
+ *
+ *   - the CSV export from Netlify Forms (one column per field name)
+ *   - the Netlify Forms API's JSON ([{ data: {...}, created_at }, ...])
+ *   - _forms/submissions.json written by the dev server
+ *     ([{ form, submitted_at, data: {...} }, ...])
+ *
+ * Columns are matched by field name, question title ("Title and Company") or
+ * the old Google Forms entry ids, so older exports still import.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, slugify } = require('./html');
+const { parseYears } = require('./normalize');
+
+// Field names as posted by src/templates/submit.html, with the other names
+// the same column has had
+const FIELDS = {
+  name: ['name', 'entry_919774814'],
+  email: ['email', 'entry_793850748'],
+  title_company: ['title_company', 'title and company', 'entry_118765849'],
+  website: ['website', 'website/social', 'entry_2130533806'],
+  years_in_tech: ['years_in_tech', 'years in tech', 'entry_1729019375'],
+  bio: ['bio', 'short bio', 'entry_1655694990'],
+  accomplishments: ['accomplishments', 'proudest career accomplishments', 'entry_429942168'],
+  struggles: ['struggles', 'biggest career struggles', 'entry_2083100275'],
+  anything_else: ['anything_else', "anything else you'd like to share", 'entry_986687847'],
+  submitted_at: ['submitted_at', 'created_at', 'timestamp', 'date'],
+};
+
+// Form fields marked required in src/templates/submit.html. Long answers
+// stay in the export for the interviewer; they have no people.json field.
+const REQUIRED_FIELDS = ['name', 'email', 'title_company', 'website', 'years_in_tech', 'bio', 'accomplishments', 'struggles'];
+
+// Every draft lacks these until the interview has been done
+const INTERVIEW_FIELDS = ['hero_image', 'thumbnail', 'location', 'interview_date', 'interview_content'];
+
+const LINK_LABELS = [
+  [/(^|\.)(twitter|x)\.com$/, 'Twitter'],
+  [/(^|\.)instagram\.com$/, 'Instagram'],
+  [/(^|\.)linkedin\.com$/, 'LinkedIn'],
+  [/(^|\.)github\.com$/, 'GitHub'],
+];
+
+function columnKey(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+const FIELD_BY_COLUMN = new Map();
+Object.entries(FIELDS).forEach(([field, names]) => {
+  names.forEach(name => FIELD_BY_COLUMN.set(columnKey(name), field));
+});
+
+// ---------------------------------------------------------------------------
+// Reading exports
+// ---------------------------------------------------------------------------
+
+// RFC 4180: quoted fields may hold commas, newlines and "" for a quote
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Maps an export's column names onto FIELDS; unknown columns are dropped
+function toSubmission(entry) {
+  const submission = {};
+  Object.entries(entry).forEach(([column, value]) => {
+    const field = FIELD_BY_COLUMN.get(columnKey(column));
+    if (field && value !== null && value !== undefined) {
+      submission[field] = (Array.isArray(value) ? value.join('\n') : String(value)).trim();
+    }
+  });
+  return submission;
+}
+
+// Returns a list of submissions keyed by FIELDS, in file order
+function readSubmissions(file) {
+  const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+
+  if (path.extname(file).toLowerCase() === '.csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    return rows.map(row => toSubmission(Object.fromEntries(header.map((column, idx) => [column, row[idx] || '']))));
+  }
+
+  const entries = JSON.parse(text);
+  if (!Array.isArray(entries)) throw new Error(`${file}: expected a JSON array of submissions`);
+  return entries.map(entry => {
+    // Netlify and the dev server nest the fields under `data`
+    const fields = entry.data && typeof entry.data === 'object' ? entry.data : entry;
+    return toSubmission({ submitted_at: entry.submitted_at || entry.created_at || '', ...fields });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Mapping onto people.json
+// ---------------------------------------------------------------------------
+
+// "Designer, Copper" / "Designer at Copper" -> { title: "Designer", role: "Designer, Copper" }
+// The gallery shows the title; person pages show the role.
+function splitTitleCompany(text) {
+  const m = /^(.+?)(?:\s*,\s*|\s+at\s+|\s*@\s*)(.+)$/i.exec(text);
+  if (!m) return { title: text, role: text, company: '' };
+  return { title: m[1], role: `${m[1]}, ${m[2]}`, company: m[2] };
+}
+
+// "@jane, jane.dev https://linkedin.com/in/jane" -> personal_links
+function parseLinks(text) {
+  const links = [];
+  const unknown = [];
+  text.split(/[\s,;]+/).filter(Boolean).forEach(token => {
+    let url = token;
+    if (/^@\w{1,15}$/.test(token)) {
+      url = `https://twitter.com/${token.slice(1)}`;
+    } else if (!/^https?:\/\//i.test(token)) {
+      url = `https://${token}`;
+    }
+
+    let host;
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+      host = '';
+    }
+    if (!host.includes('.')) {
+      unknown.push(token);
+      return;
+    }
+
+    const known = LINK_LABELS.find(([pattern]) => pattern.test(host.replace(/^www\./, '')));
+    links.push({ url, label: known ? known[1] : 'Website' });
+  });
+  return { links, unknown };
+}
+
+// Plain text with blank lines between paragraphs -> <p> paragraphs
+function textToHtml(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map(para => para.trim())
+    .filter(Boolean)
+    .map(para => `<p>${escapeHtml(para).replace(/\s*\n\s*/g, '<br />\n')}</p>`)
+    .join('\n');
+}
+
+// Returns { person, problems }. The record has every people.json field, with
+// the interview fields left empty for the editor and post_id left for the
+// importer to allocate.
+function submissionToDraft(submission) {
+  const value = field => submission[field] || '';
+  const problems = REQUIRED_FIELDS.filter(field => !value(field)).map(field => `no ${field}`);
+
+  const { title, role, company } = splitTitleCompany(value('title_company'));
+  if (value('title_company') && !company) problems.push(`no company in title_company "${value('title_company')}"`);
+
+  const { links, unknown } = parseLinks(value('website'));
+  unknown.forEach(token => problems.push(`"${token}" in website isn't a URL or @handle`));
+
+  const years = value('years_in_tech').replace(/\s*years?\s*$/i, '');
+  if (years && !parseYears(years)) problems.push(`years_in_tech "${years}" isn't a number`);
+
+  const person = {
+    slug: slugify(value('name')),
+    post_id: null,
+    name: value('name'),
+    hero_image: '',
+    thumbnail: '',
+    years_in_tech: years,
+    role,
+    location: '',
+    interview_date: '',
+    abstract: textToHtml(value('bio')),
+    personal_links: links,
+    interview_content: '',
+    title,
+    status: 'draft',
+  };
+  if (value('submitted_at')) person.submitted_at = value('submitted_at');
+  return { person, problems };
+}
+
+function nameKey(name) {
+  return slugify(name || '');
+}
+
+function linkKey(url) {
+  return url.toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+}
+
+// Finds an earlier record for the same person: same slug or name, or a
+// shared personal link. `records` is [{ person, source }]. Names with no
+// Latin letters have an empty key and never match on it.
+function findDuplicate(person, records) {
+  const links = new Set(person.personal_links.map(link => linkKey(link.url)));
+  const key = nameKey(person.name);
+  return records.find(({ person: other }) =>
+    (person.slug && other.slug === person.slug) ||
+    (key && nameKey(other.name) === key) ||
+    (other.personal_links || []).some(link => links.has(linkKey(link.url))));
+}
+
+module.exports = {
+  INTERVIEW_FIELDS,
+  findDuplicate,
+  parseLinks,
+  readSubmissions,
+  splitTitleCompany,
+  submissionToDraft,
+  textToHtml,
+};
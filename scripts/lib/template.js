@@ -0,0 +1,248 @@
+/**
+ * template.js — A small Handlebars-flavoured template engine.
+ *
+ *   {{path.to.value}}          escaped output
+ *   {{{path.to.value}}}        raw output, for trusted HTML only
+ *   {{#if path}}…{{else}}…{{/if}}
+ *   {{#unless path}}…{{/unless}}
+ *   {{#each list}}…{{else}}…{{/each}}   (inside: this, @index, @first, @last)
+ *   {{> partial}}              render partials/<partial>.html with this context
+ *   {{> partial path key=path key="text"}}
+ *   {{! comment }}
+ *
+ * Names are looked up from the innermost context outwards, so a partial
+ * rendered inside {{#each}} can still see page-level values. Printing a value
+ * that is undefined is an error (it's almost always a typo); null prints as
+ * an empty string. Block tags alone on a line don't leave a blank line behind,
+ * and a partial alone on a line is indented to match it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+
+const TAG_REGEX = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const BLOCKS = ['if', 'unless', 'each'];
+
+function templateError(name, line, msg) {
+  return new Error(`${name}:${line}: ${msg}`);
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+function classifyTag(raw, inner) {
+  if (raw !== undefined) return { type: 'var', path: raw, raw: true };
+  if (inner.startsWith('!')) return { type: 'comment' };
+  if (inner === 'else') return { type: 'else' };
+  if (inner.startsWith('#')) {
+    const [block, ...args] = inner.slice(1).trim().split(/\s+/);
+    return { type: 'open', block, path: args.join(' ') };
+  }
+  if (inner.startsWith('/')) return { type: 'close', block: inner.slice(1).trim() };
+  if (inner.startsWith('>')) return { type: 'partial', args: inner.slice(1).trim() };
+  return { type: 'var', path: inner, raw: false };
+}
+
+// A block/else/comment/partial tag with nothing but whitespace around it on
+// its line swallows that line, like Mustache "standalone" tags.
+function isStandalone(tag) {
+  return ['open', 'close', 'else', 'comment', 'partial'].includes(tag.type);
+}
+
+function indent(text, prefix) {
+  return prefix ? text.replace(/^(?=.)/gm, prefix) : text;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+  let match;
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(source)) !== null) {
+    tokens.push({ type: 'text', value: source.slice(last, match.index) });
+    const tag = classifyTag(match[1], match[2]);
+    tag.line = source.slice(0, match.index).split('\n').length;
+    tokens.push(tag);
+    last = TAG_REGEX.lastIndex;
+  }
+  tokens.push({ type: 'text', value: source.slice(last) });
+
+  // Strip standalone lines
+  for (let i = 1; i < tokens.length - 1; i += 2) {
+    if (!isStandalone(tokens[i])) continue;
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+    const lineStart = before.value.lastIndexOf('\n');
+    const leading = before.value.slice(lineStart + 1);
+    const trailing = /^[ \t]*(\r?\n|$)/.exec(after.value);
+    const atStart = lineStart !== -1 || i === 1 || before.atLineStart;
+    if (atStart && /^[ \t]*$/.test(leading) && trailing && (trailing[1] || i + 1 === tokens.length - 1)) {
+      before.value = before.value.slice(0, lineStart + 1);
+      tokens[i].indent = leading;
+      after.value = after.value.slice(trailing[0].length);
+      after.atLineStart = true;
+    }
+  }
+  return tokens.filter(t => t.type !== 'comment' && !(t.type === 'text' && t.value === ''));
+}
+
+function parse(source, name) {
+  const root = { body: [] };
+  const stack = [root];
+  let target = root.body;
+
+  tokenize(source).forEach(token => {
+    const current = stack[stack.length - 1];
+    switch (token.type) {
+      case 'open':
+        if (!BLOCKS.includes(token.block)) {
+          throw templateError(name, token.line, `unknown block "#${token.block}"`);
+        }
+        if (!token.path) throw templateError(name, token.line, `"#${token.block}" needs a value`);
+        token.body = [];
+        token.inverse = [];
+        target.push(token);
+        stack.push(token);
+        target = token.body;
+        break;
+      case 'else':
+        if (stack.length === 1 || current.inElse) throw templateError(name, token.line, 'unexpected "else"');
+        current.inElse = true;
+        target = current.inverse;
+        break;
+      case 'close': {
+        if (stack.length === 1 || current.block !== token.block) {
+          throw templateError(name, token.line, `unexpected "/${token.block}"`);
+        }
+        stack.pop();
+        const parent = stack[stack.length - 1];
+        target = parent === root ? root.body : (parent.inElse ? parent.inverse : parent.body);
+        break;
+      }
+      default:
+        target.push(token);
+    }
+  });
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw templateError(name, open.line, `"#${open.block}" is never closed`);
+  }
+  return root.body;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+// frames: [{ ctx, data }], innermost last
+function lookup(frames, expr) {
+  if (/^"[^"]*"$/.test(expr)) return expr.slice(1, -1);
+  if (expr === 'true' || expr === 'false') return expr === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(expr)) return Number(expr);
+
+  const frame = frames[frames.length - 1];
+  if (expr === 'this') return frame.ctx;
+  if (expr.startsWith('@')) return frame.data[expr.slice(1)];
+
+  const parts = expr.replace(/^this\./, '').split('.');
+  let value;
+  if (expr.startsWith('this.')) {
+    value = frame.ctx;
+  } else {
+    const owner = frames.slice().reverse().find(f => f.ctx !== null && typeof f.ctx === 'object' && parts[0] in f.ctx);
+    if (!owner) return undefined;
+    value = owner.ctx;
+  }
+  for (const part of parts) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// "name path key=path key=\"text\"" -> { name, path, hash }
+function parsePartialArgs(args) {
+  const parts = args.match(/[^\s"=]+="[^"]*"|[^\s"=]+=[^\s"]+|"[^"]*"|\S+/g) || [];
+  const [partialName, ...rest] = parts;
+  const hash = {};
+  let ctxPath = null;
+  rest.forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq === -1) {
+      ctxPath = part;
+    } else {
+      hash[part.slice(0, eq)] = part.slice(eq + 1);
+    }
+  });
+  return { partialName, ctxPath, hash };
+}
+
+function createEngine(templateDir) {
+  const cache = new Map();
+
+  function load(name) {
+    if (!cache.has(name)) {
+      const source = fs.readFileSync(path.join(templateDir, name), 'utf8');
+      cache.set(name, parse(source, name));
+    }
+    return cache.get(name);
+  }
+
+  function renderNodes(nodes, frames, name) {
+    let out = '';
+    nodes.forEach(node => {
+      if (node.type === 'text') {
+        out += node.value;
+      } else if (node.type === 'var') {
+        const value = lookup(frames, node.path);
+        if (value === undefined) throw templateError(name, node.line, `"${node.path}" is undefined`);
+        if (value !== null) out += node.raw ? String(value) : escapeHtml(value);
+      } else if (node.type === 'open' && node.block === 'each') {
+        const list = lookup(frames, node.path);
+        if (list === undefined) throw templateError(name, node.line, `"${node.path}" is undefined`);
+        if (list !== null && !Array.isArray(list)) throw templateError(name, node.line, `"${node.path}" is not a list`);
+        if (!list || !list.length) {
+          out += renderNodes(node.inverse, frames, name);
+          return;
+        }
+        list.forEach((item, idx) => {
+          const data = { index: idx, first: idx === 0, last: idx === list.length - 1 };
+          out += renderNodes(node.body, frames.concat({ ctx: item, data }), name);
+        });
+      } else if (node.type === 'open') {
+        let pass = truthy(lookup(frames, node.path));
+        if (node.block === 'unless') pass = !pass;
+        out += renderNodes(pass ? node.body : node.inverse, frames, name);
+      } else if (node.type === 'partial') {
+        const { partialName, ctxPath, hash } = parsePartialArgs(node.args);
+        const current = frames[frames.length - 1];
+        let ctx = ctxPath ? lookup(frames, ctxPath) : current.ctx;
+        if (ctxPath && ctx === undefined) throw templateError(name, node.line, `"${ctxPath}" is undefined`);
+        if (Object.keys(hash).length) {
+          ctx = Object.assign({}, ctx);
+          Object.entries(hash).forEach(([key, expr]) => { ctx[key] = lookup(frames, expr); });
+        }
+        const partialFile = `partials/${partialName}.html`;
+        out += indent(renderNodes(load(partialFile), frames.concat({ ctx, data: current.data }), partialFile), node.indent);
+      }
+    });
+    return out;
+  }
+
+  return {
+    render(name, data) {
+      return renderNodes(load(name), [{ ctx: data, data: {} }], name);
+    },
+  };
+}
+
+module.exports = {
+  createEngine,
+};
@@ -0,0 +1,76 @@
+/**
+ * timeline.js — Groups interviews by month and week for /timeline/.
+ *
+ * Weeks start on Monday and are cut at month boundaries, so a week never
+ * appears under two months. Every month and week carries the ISO `from`
+ * and `to` days it covers, which the page uses to link to the gallery's
+ * date-range filter.
+ */
+
+const { isoToDate, dateToIso, monthName } = require('./dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(iso, days) {
+  return dateToIso(new Date(isoToDate(iso).getTime() + days * DAY_MS));
+}
+
+function monthBounds(iso) {
+  const date = isoToDate(iso);
+  const from = dateToIso(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)));
+  const to = dateToIso(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)));
+  return { from, to };
+}
+
+// The Monday-to-Sunday week holding `iso`, cut to its month
+function weekBounds(iso) {
+  const month = monthBounds(iso);
+  const monday = addDays(iso, -((isoToDate(iso).getUTCDay() + 6) % 7));
+  const sunday = addDays(monday, 6);
+  return {
+    from: monday < month.from ? month.from : monday,
+    to: sunday > month.to ? month.to : sunday,
+  };
+}
+
+// "February 1–7", or "February 29" for a one-day week
+function dayRangeLabel(from, to) {
+  const start = isoToDate(from).getUTCDate();
+  const end = isoToDate(to).getUTCDate();
+  return start === end ? `${monthName(from)} ${start}` : `${monthName(from)} ${start}–${end}`;
+}
+
+// people: normalized. Returns {
+//   months: [{ key, label, from, to, count, weeks: [{ label, from, to, people }] }],
+//   undated: [person]
+// } with months and people in date order, site order for the same day.
+function groupByMonth(people) {
+  const dated = people
+    .filter(person => person.interview_date_iso)
+    .sort((a, b) => a.interview_date_iso.localeCompare(b.interview_date_iso));
+  const months = [];
+
+  dated.forEach(person => {
+    const iso = person.interview_date_iso;
+    const key = iso.slice(0, 7);
+    let month = months[months.length - 1];
+    if (!month || month.key !== key) {
+      month = { key, label: `${monthName(iso)} ${iso.slice(0, 4)}`, ...monthBounds(iso), count: 0, weeks: [] };
+      months.push(month);
+    }
+    const bounds = weekBounds(iso);
+    let week = month.weeks[month.weeks.length - 1];
+    if (!week || week.from !== bounds.from) {
+      week = { label: dayRangeLabel(bounds.from, bounds.to), ...bounds, people: [] };
+      month.weeks.push(week);
+    }
+    week.people.push(person);
+    month.count++;
+  });
+
+  return { months, undated: people.filter(person => !person.interview_date_iso) };
+}
+
+module.exports = {
+  groupByMonth,
+};
@@ -0,0 +1,210 @@
+/**
+ * validate.js — Sanity checks for people.json and categories.json.
+ *
+ * build.js runs this before generating anything and stops on errors, so a
+ * bad record fails loudly instead of being silently dropped from a category
+ * page. Warnings are printed but don't stop the build.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { jpegSize } = require('./images');
+const { STATUSES, isDraft } = require('./status');
+
+const REQUIRED_PERSON_FIELDS = [
+  'slug', 'post_id', 'name', 'hero_image', 'thumbnail', 'role', 'abstract', 'interview_content',
+];
+const OPTIONAL_STRING_FIELDS = ['title', 'years_in_tech', 'location', 'interview_date'];
+// A draft is an interview in progress (an imported submission, say): these
+// can wait until it is published
+const DRAFT_PENDING_FIELDS = ['hero_image', 'thumbnail', 'role', 'abstract', 'interview_content'];
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+
+function personLabel(person, idx) {
+  const slug = person && typeof person.slug === 'string' ? ` "${person.slug}"` : '';
+  return `people.json[${idx}]${slug}`;
+}
+
+function categoryLabel(cat, idx) {
+  const slug = cat && typeof cat.slug === 'string' ? ` "${cat.slug}"` : '';
+  return `categories.json[${idx}]${slug}`;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// The build reads dimensions from the JPEG header, so the file has to be one
+function checkImage(label, field, name, dir, report) {
+  if (isBlank(name)) return;
+  const file = path.join(dir, name);
+  if (!fs.existsSync(file)) {
+    report.error(`${label}: ${field} "${name}" not found in ${path.basename(dir)}/`);
+  } else if (!jpegSize(file)) {
+    report.error(`${label}: ${field} "${name}" is not a readable JPEG`);
+  }
+}
+
+function checkPeople(people, imageDir, report) {
+  const slugs = new Map();
+  const postIds = new Map();
+
+  people.forEach((person, idx) => {
+    const label = personLabel(person, idx);
+
+    const pending = [];
+    REQUIRED_PERSON_FIELDS.forEach(field => {
+      if (!isBlank(person[field])) return;
+      if (isDraft(person) && DRAFT_PENDING_FIELDS.includes(field)) pending.push(field);
+      else report.error(`${label}: missing required field "${field}"`);
+    });
+    if (pending.length) report.warn(`${label}: draft still needs ${pending.join(', ')}`);
+    OPTIONAL_STRING_FIELDS.forEach(field => {
+      if (person[field] !== undefined && typeof person[field] !== 'string') {
+        report.error(`${label}: "${field}" must be a string`);
+      }
+    });
+
+    if (!isBlank(person.slug)) {
+      if (!SLUG_PATTERN.test(person.slug)) report.error(`${label}: slug is not URL-safe`);
+      if (slugs.has(person.slug)) {
+        report.error(`${label}: duplicate slug, also used by people.json[${slugs.get(person.slug)}]`);
+      } else {
+        slugs.set(person.slug, idx);
+      }
+    }
+
+    if (!isBlank(person.post_id)) {
+      if (!Number.isInteger(person.post_id) || person.post_id <= 0) {
+        report.error(`${label}: post_id ${JSON.stringify(person.post_id)} is not a positive integer`);
+      } else if (postIds.has(person.post_id)) {
+        report.error(`${label}: duplicate post_id ${person.post_id}, also used by people.json[${postIds.get(person.post_id)}]`);
+      } else {
+        postIds.set(person.post_id, idx);
+      }
+    }
+
+    // Navigation is derived from the order of people.json at build time
+    ['prev', 'next'].forEach(field => {
+      if (person[field] !== undefined) report.warn(`${label}: stored "${field}" is ignored, navigation follows people.json order`);
+    });
+
+    if (!Array.isArray(person.personal_links)) {
+      report.error(`${label}: "personal_links" must be an array`);
+    } else {
+      person.personal_links.forEach((link, linkIdx) => {
+        if (!link || isBlank(link.url) || isBlank(link.label)) {
+          report.error(`${label}: personal_links[${linkIdx}] needs both a url and a label`);
+        }
+      });
+    }
+
+    if (person.status !== undefined && !STATUSES.includes(person.status)) {
+      report.error(`${label}: status ${JSON.stringify(person.status)} is not one of ${STATUSES.join(', ')}`);
+    }
+
+    if (person.focal_point !== undefined) {
+      const fp = person.focal_point;
+      const inRange = value => typeof value === 'number' && value >= 0 && value <= 100;
+      if (!fp || !inRange(fp.x) || !inRange(fp.y)) {
+        report.error(`${label}: focal_point must be { "x": 0-100, "y": 0-100 } (percent from the top left)`);
+      }
+    }
+
+    checkImage(label, 'hero_image', person.hero_image, path.join(imageDir, 'portraits'), report);
+    checkImage(label, 'thumbnail', person.thumbnail, path.join(imageDir, 'thumbnails'), report);
+  });
+
+  return { postIds };
+}
+
+function checkCategories(categories, people, postIds, report) {
+  const catSlugs = new Map();
+  const categorized = new Set();
+
+  categories.forEach((cat, idx) => {
+    const label = categoryLabel(cat, idx);
+
+    if (isBlank(cat.slug)) {
+      report.error(`${label}: missing required field "slug"`);
+    } else if (catSlugs.has(cat.slug)) {
+      report.error(`${label}: duplicate slug, also used by categories.json[${catSlugs.get(cat.slug)}]`);
+    } else {
+      catSlugs.set(cat.slug, idx);
+    }
+    if (isBlank(cat.display_name)) report.error(`${label}: missing required field "display_name"`);
+    if (cat.description !== undefined && typeof cat.description !== 'string') {
+      report.error(`${label}: "description" must be a string`);
+    }
+
+    if (!Array.isArray(cat.post_ids)) {
+      report.error(`${label}: "post_ids" must be an array`);
+      return;
+    }
+
+    // The hero quote is attributed to someone the category lists
+    if (cat.hero_quote !== undefined) {
+      const quote = cat.hero_quote;
+      if (!quote || isBlank(quote.text) || typeof quote.text !== 'string') {
+        report.error(`${label}: hero_quote needs a "text"`);
+      } else if (!cat.post_ids.includes(quote.post_id)) {
+        report.error(`${label}: hero_quote post_id ${JSON.stringify(quote.post_id)} is not in this category`);
+      }
+    }
+    if (!cat.post_ids.length) report.warn(`${label}: category is empty`);
+
+    const seen = new Set();
+    cat.post_ids.forEach(id => {
+      if (seen.has(id)) report.error(`${label}: post_id ${id} is listed twice`);
+      seen.add(id);
+      if (!postIds.has(id)) {
+        report.error(`${label}: post_id ${id} has no matching person`);
+      } else {
+        categorized.add(id);
+      }
+    });
+  });
+
+  people.forEach((person, idx) => {
+    if (postIds.get(person.post_id) === idx && !categorized.has(person.post_id)) {
+      report.warn(`${personLabel(person, idx)}: not in any category`);
+    }
+  });
+}
+
+// Returns { errors, warnings } as arrays of messages.
+function validateData(people, categories, { imageDir }) {
+  const errors = [];
+  const warnings = [];
+  const report = {
+    error: msg => errors.push(msg),
+    warn: msg => warnings.push(msg),
+  };
+
+  if (!Array.isArray(people)) {
+    report.error('people.json: expected an array of people');
+    return { errors, warnings };
+  }
+  if (!Array.isArray(categories)) {
+    report.error('categories.json: expected an array of categories');
+    return { errors, warnings };
+  }
+
+  const notObject = value => !value || typeof value !== 'object' || Array.isArray(value);
+  people.forEach((person, idx) => {
+    if (notObject(person)) report.error(`people.json[${idx}]: expected an object`);
+  });
+  categories.forEach((cat, idx) => {
+    if (notObject(cat)) report.error(`categories.json[${idx}]: expected an object`);
+  });
+  if (errors.length) return { errors, warnings };
+
+  const { postIds } = checkPeople(people, imageDir, report);
+  checkCategories(categories, people, postIds, report);
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  validateData,
+};
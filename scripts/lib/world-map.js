@@ -0,0 +1,58 @@
+/**
+ * world-map.js — Geometry for the inline SVG map on /origins/.
+ *
+ * Land comes from src/data/world.json and places from the gazetteer
+ * coordinates in each person's `origins`, so the map is drawn at build
+ * time with no tiles or network. The projection is equirectangular,
+ * cropped to the latitudes people live at.
+ */
+
+const SCALE = 2.5;
+const NORTH = 84;
+const SOUTH = -56;
+const MIN_RADIUS = 3;
+
+function project(lon, lat) {
+  return {
+    x: Math.round((lon + 180) * SCALE * 10) / 10,
+    y: Math.round((NORTH - lat) * SCALE * 10) / 10,
+  };
+}
+
+function ringPath(ring) {
+  return ring.map(([lon, lat], idx) => {
+    const { x, y } = project(lon, lat);
+    return `${idx ? 'L' : 'M'}${x} ${y}`;
+  }).join('') + 'Z';
+}
+
+// groups: [{ slug, label, count, points: [{ lat, lon }] }], e.g. the regions
+// from facets.groupOrigins(). Each becomes one marker at the middle of its
+// points, sized by area; bigger markers come first so small ones stay on top.
+function worldMap(world, groups) {
+  const markers = groups
+    .filter(group => group.points.length)
+    .map(group => {
+      const lat = group.points.reduce((sum, p) => sum + p.lat, 0) / group.points.length;
+      const lon = group.points.reduce((sum, p) => sum + p.lon, 0) / group.points.length;
+      return {
+        ...project(lon, lat),
+        r: Math.round((MIN_RADIUS + 2 * Math.sqrt(group.count)) * 10) / 10,
+        slug: group.slug,
+        label: group.label,
+        count: group.count,
+      };
+    })
+    .sort((a, b) => b.r - a.r);
+
+  return {
+    width: 360 * SCALE,
+    height: (NORTH - SOUTH) * SCALE,
+    land: world.land.map(shape => ringPath(shape.ring)).join(''),
+    markers,
+  };
+}
+
+module.exports = {
+  worldMap,
+};
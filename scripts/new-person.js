@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+/**
+ * new-person.js — Adds an interview: src/content/<slug>.md, its place in
+ * people.json, and its categories in categories.json.
+ * Run: node scripts/new-person.js                  (asks for each field)
+ *      node scripts/new-person.js --name "Jane Doe" --role "Engineer, Acme" \
+ *        --abstract-file bio.txt --interview interview.md \
+ *        --hero jane.jpg --thumb jane-thumb.jpg --categories developer,founder \
+ *        [--after nancy-douyon] [--status published] [--dry-run]
+ *
+ * Allocates the next post_id, derives the slug from the name, copies the
+ * portraits into d1lhy388c2xgxf/ as <Name>-hero-<width>x<height>.jpg and
+ * <Name>-thumb-<width>x<height>.jpg (the Title-Case slug and the real pixel
+ * size), adds a 1200px-wide copy of the hero for srcset when sips or
+ * ImageMagick is installed, and adds the post_id to each category. The abstract and interview can be
+ * Markdown (.md) or HTML (.html); HTML that Markdown can't reproduce keeps
+ * the whole record in people.json instead. Nothing is written unless the
+ * updated data passes the build's validation. New people are drafts unless
+ * --status says otherwise, so they show up at /preview/<slug>/ first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const readline = require('readline/promises');
+const { parseArgs } = require('util');
+const { validateData } = require('./lib/validate');
+const { jpegSize } = require('./lib/images');
+const { slugify } = require('./lib/html');
+const { parseHumanDate, formatHumanDate } = require('./lib/dates');
+const { STATUSES, personPath } = require('./lib/status');
+const { parseLinks, splitTitleCompany, textToHtml } = require('./lib/submissions');
+const { renderMarkdown } = require('./lib/markdown');
+const { loadPeople, personToMarkdown, renderInterview } = require('./lib/content');
+
+const ROOT = path.join(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+const DATA = path.join(SRC, 'data');
+const CONTENT = path.join(SRC, 'content');
+const IMAGES = path.join(ROOT, 'd1lhy388c2xgxf');
+// The hero's second srcset candidate, the width the existing heroes have
+const SMALL_HERO_WIDTH = 1200;
+
+const OPTIONS = {
+  name: { type: 'string', prompt: 'Name', required: true },
+  slug: { type: 'string' },
+  role: { type: 'string', prompt: 'Role, as "Title, Company"', required: true },
+  title: { type: 'string' },
+  years: { type: 'string', prompt: 'Years in tech' },
+  location: { type: 'string', prompt: 'Place of origin' },
+  date: { type: 'string', prompt: 'Interview date (March 11, 2016 or 2016-03-11)' },
+  abstract: { type: 'string' },
+  'abstract-file': { type: 'string', prompt: 'Abstract file (.txt, .md or .html)', required: true },
+  interview: { type: 'string', prompt: 'Interview file (.md or .html)', required: true },
+  link: { type: 'string', multiple: true },
+  hero: { type: 'string', prompt: 'Hero portrait (JPEG)', required: true },
+  thumb: { type: 'string', prompt: 'Thumbnail (JPEG)', required: true },
+  categories: { type: 'string', prompt: 'Category slugs, comma-separated' },
+  after: { type: 'string', prompt: 'Insert after (slug, blank for the end)' },
+  before: { type: 'string' },
+  status: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  yes: { type: 'boolean', short: 'y' },
+};
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// The files are written next to their targets and renamed into place, so a
+// failure part-way leaves the data as it was
+function writeFiles(files) {
+  const written = files.map(([file, text]) => {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, text);
+    return [tmp, file];
+  });
+  written.forEach(([tmp, file]) => fs.renameSync(tmp, file));
+}
+
+function fail(errors) {
+  errors.forEach(msg => console.error(`  ERROR: ${msg}`));
+  console.error(`\nNothing was written: ${errors.length} error(s)`);
+  process.exit(1);
+}
+
+// ---------------------------------------------------------------------------
+// Gather the fields: flags first, then prompts for whatever is missing
+// ---------------------------------------------------------------------------
+
+async function gather() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      options: Object.fromEntries(Object.entries(OPTIONS).map(([name, { prompt, required, ...spec }]) => [name, spec])),
+    });
+  } catch (err) {
+    fail([err.message]);
+  }
+  const values = { status: 'draft', ...parsed.values };
+  if (values.abstract !== undefined) values['abstract-file'] = values['abstract-file'] || '';
+
+  const interactive = process.stdin.isTTY && !values.yes;
+  if (interactive) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    for (const [name, option] of Object.entries(OPTIONS)) {
+      if (!option.prompt || values[name] !== undefined) continue;
+      if (name === 'after' && values.before !== undefined) continue;
+      values[name] = (await rl.question(`${option.prompt}${option.required ? '' : ' (optional)'}: `)).trim();
+    }
+    if (values.link === undefined) {
+      const links = (await rl.question('Links, space-separated URLs or Label=URL (optional): ')).trim();
+      values.link = links ? links.split(/\s+/) : [];
+    }
+    rl.close();
+  }
+
+  const missing = Object.entries(OPTIONS)
+    .filter(([name, option]) => option.required && !values[name] && !(name === 'abstract-file' && values.abstract))
+    .map(([name]) => `--${name === 'abstract-file' ? 'abstract or --abstract-file' : name} is required`);
+  if (missing.length) fail(missing);
+  return values;
+}
+
+// ---------------------------------------------------------------------------
+// Build the record
+// ---------------------------------------------------------------------------
+
+function readText(file, label, errors) {
+  if (!fs.existsSync(file)) {
+    errors.push(`${label} file ${file} not found`);
+    return '';
+  }
+  return fs.readFileSync(file, 'utf8').trim();
+}
+
+function extension(file) {
+  return path.extname(file || '').toLowerCase();
+}
+
+function parseLinkArgs(args, errors) {
+  const links = [];
+  (args || []).forEach(arg => {
+    const m = /^([^=]+)=(https?:\/\/\S+)$/.exec(arg);
+    if (m) {
+      links.push({ url: m[2], label: m[1].trim() });
+      return;
+    }
+    const parsed = parseLinks(arg);
+    parsed.unknown.forEach(token => errors.push(`link "${token}" isn't a URL or @handle`));
+    links.push(...parsed.links);
+  });
+  return links;
+}
+
+function interviewDate(value, errors) {
+  if (!value) return '';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return formatHumanDate(value);
+  if (!parseHumanDate(value)) errors.push(`interview date "${value}" isn't a date like "March 11, 2016"`);
+  return value;
+}
+
+// Portraits are named after the Title-Case slug, like the Alice-Lee-hero-*
+// files already in d1lhy388c2xgxf/, and carry their real pixel size
+function imageBase(slug) {
+  return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('-');
+}
+
+// Source and destination of a portrait
+function planImage(source, slug, kind, dir, errors) {
+  if (!fs.existsSync(source)) {
+    errors.push(`${kind} image ${source} not found`);
+    return null;
+  }
+  const size = jpegSize(source);
+  if (!size) {
+    errors.push(`${kind} image ${source} is not a readable JPEG`);
+    return null;
+  }
+  const name = `${imageBase(slug)}-${kind}-${size.width}x${size.height}.jpg`;
+  const dest = path.join(dir, name);
+  if (fs.existsSync(dest)) errors.push(`${path.relative(ROOT, dest)} already exists`);
+  return { source, dest, name, ...size };
+}
+
+// The first installed command that can scale a JPEG to a width: sips on
+// macOS, otherwise ImageMagick. Returns null when there is none.
+function findResizer() {
+  const resizers = [
+    ['sips', (src, dest, width) => ['sips', ['--resampleWidth', String(width), src, '--out', dest]]],
+    ['magick', (src, dest, width) => ['magick', [src, '-resize', `${width}x`, dest]]],
+    ['convert', (src, dest, width) => ['convert', [src, '-resize', `${width}x`, dest]]],
+  ];
+  const found = resizers.find(([command]) => !spawnSync(command, ['--version'], { stdio: 'ignore' }).error);
+  return found ? found[1] : null;
+}
+
+// The smaller hero the srcset offers phones, resized from the original
+function planSmallHero(hero, resizer, errors) {
+  if (!hero || hero.width <= SMALL_HERO_WIDTH || !resizer) return null;
+  const height = Math.round(hero.height * SMALL_HERO_WIDTH / hero.width);
+  const name = hero.name.replace(/-\d+x\d+\.jpg$/, `-${SMALL_HERO_WIDTH}x${height}.jpg`);
+  const dest = path.join(path.dirname(hero.dest), name);
+  if (fs.existsSync(dest)) errors.push(`${path.relative(ROOT, dest)} already exists`);
+  return { source: hero.source, dest, name, width: SMALL_HERO_WIDTH, height, resize: resizer };
+}
+
+// Copies or resizes an image into place; returns an error message or null
+function writeImage(image) {
+  if (!image.resize) {
+    fs.copyFileSync(image.source, image.dest, fs.constants.COPYFILE_EXCL);
+    return null;
+  }
+  const [command, args] = image.resize(image.source, image.dest, image.width);
+  const result = spawnSync(command, args, { stdio: 'ignore' });
+  const size = fs.existsSync(image.dest) && jpegSize(image.dest);
+  if (result.status !== 0 || !size) return `${command} couldn't resize ${image.source}`;
+  if (size.width !== image.width || size.height !== image.height) {
+    return `${command} made ${path.basename(image.dest)} ${size.width}x${size.height}, not ${image.width}x${image.height}`;
+  }
+  return null;
+}
+
+// `people` is everyone the build would load; `records` is people.json as
+// written, which sets the position
+function createPerson(values, people, records, categories) {
+  const errors = [];
+  const slug = values.slug || slugify(values.name);
+  const { title, role } = splitTitleCompany(values.role);
+
+  if (people.some(p => p.slug === slug)) errors.push(`slug "${slug}" is already used; pass --slug`);
+  if (!STATUSES.includes(values.status)) errors.push(`--status must be one of ${STATUSES.join(', ')}`);
+
+  const abstractFile = values['abstract-file'];
+  let abstract = values.abstract ? textToHtml(values.abstract) : '';
+  if (abstractFile) {
+    const text = readText(abstractFile, 'abstract', errors);
+    if (extension(abstractFile) === '.html') abstract = text;
+    else abstract = extension(abstractFile) === '.md' ? renderMarkdown(text) : textToHtml(text);
+  }
+  const interview = readText(values.interview, 'interview', errors);
+
+  const hero = planImage(values.hero, slug, 'hero', path.join(IMAGES, 'portraits'), errors);
+  const thumb = planImage(values.thumb, slug, 'thumb', path.join(IMAGES, 'thumbnails'), errors);
+  const resizer = findResizer();
+  const smallHero = planSmallHero(hero, resizer, errors);
+  if (hero && hero.width > SMALL_HERO_WIDTH && !resizer) {
+    const height = Math.round(hero.height * SMALL_HERO_WIDTH / hero.width);
+    console.warn(`  WARN: no sips or ImageMagick to make the smaller hero; add ${imageBase(slug)}-hero-${SMALL_HERO_WIDTH}x${height}.jpg to portraits/ by hand`);
+  }
+
+  const person = {
+    slug,
+    post_id: Math.max(0, ...people.map(p => p.post_id)) + 1,
+    name: values.name,
+    hero_image: hero ? hero.name : '',
+    thumbnail: thumb ? thumb.name : '',
+    years_in_tech: (values.years || '').replace(/\s*years?\s*$/i, ''),
+    role,
+    location: values.location || '',
+    interview_date: interviewDate(values.date, errors),
+    abstract,
+    personal_links: parseLinkArgs(values.link, errors),
+    interview_content: extension(values.interview) === '.md' ? renderInterview(interview) : interview,
+    title: values.title || title,
+  };
+  if (values.status !== 'published') person.status = values.status;
+
+  const catSlugs = (values.categories || '').split(',').map(s => s.trim()).filter(Boolean);
+  catSlugs.filter(s => !categories.some(cat => cat.slug === s))
+    .forEach(s => errors.push(`no category "${s}" in categories.json`));
+
+  let position = records.length;
+  const anchor = values.before || values.after;
+  if (anchor) {
+    const idx = records.findIndex(p => p.slug === anchor);
+    if (idx === -1) errors.push(`no person "${anchor}" to insert ${values.before ? 'before' : 'after'}`);
+    else position = values.before ? idx : idx + 1;
+  }
+
+  return { person, images: [hero, smallHero, thumb].filter(Boolean), catSlugs, position, errors };
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+(async () => {
+  const values = await gather();
+  const records = readJson(path.join(DATA, 'people.json'));
+  const categories = readJson(path.join(DATA, 'categories.json'));
+  const loaded = loadPeople(SRC);
+  if (loaded.errors.length) fail(loaded.errors);
+
+  const { person, images, catSlugs, position, errors } = createPerson(values, loaded.people, records, categories);
+  const markdown = personToMarkdown(person);
+  const contentFile = path.join(CONTENT, `${person.slug}.md`);
+  if (markdown && fs.existsSync(contentFile)) errors.push(`${path.relative(ROOT, contentFile)} already exists`);
+  if (errors.length) fail(errors);
+
+  const newRecords = [...records.slice(0, position), markdown ? { slug: person.slug } : person, ...records.slice(position)];
+  const newCategories = categories.map(cat =>
+    (catSlugs.includes(cat.slug) ? { ...cat, post_ids: [...cat.post_ids, person.post_id] } : cat));
+
+  console.log(`\n${person.name} (${person.slug}), post_id ${person.post_id}`);
+  console.log(`  Position: ${position + 1} of ${newRecords.length}${position < records.length ? `, before ${records[position].slug}` : ''}`);
+  console.log(`  Categories: ${catSlugs.join(', ') || 'none'}`);
+  images.forEach(image => {
+    const resized = image.resize ? ` (resized to ${image.width}px wide)` : '';
+    console.log(`  ${image.source} -> ${path.relative(ROOT, image.dest)}${resized}`);
+  });
+
+  if (values['dry-run']) {
+    console.log('\nDry run: nothing written');
+    console.log(markdown || JSON.stringify(person, null, 2));
+    return;
+  }
+
+  // Validation reads the images from disk, so they go in first and come
+  // back out if the data doesn't pass
+  const imageErrors = images.map(writeImage).filter(Boolean);
+  const validation = imageErrors.length
+    ? { errors: imageErrors, warnings: [] }
+    : validateData([...loaded.people, person], newCategories, { imageDir: IMAGES });
+  if (validation.errors.length) {
+    images.forEach(image => fs.rmSync(image.dest, { force: true }));
+    fail(validation.errors);
+  }
+  validation.warnings
+    .filter(msg => msg.includes(`"${person.slug}"`))
+    .forEach(msg => console.warn(`  WARN: ${msg}`));
+
+  const files = [
+    [path.join(DATA, 'people.json'), JSON.stringify(newRecords, null, 2)],
+    [path.join(DATA, 'categories.json'), JSON.stringify(newCategories, null, 2)],
+  ];
+  if (markdown) {
+    fs.mkdirSync(CONTENT, { recursive: true });
+    files.unshift([contentFile, markdown]);
+  }
+  writeFiles(files);
+  console.log(`\nWrote ${files.map(([file]) => path.relative(ROOT, file)).join(', ')}`);
+  console.log(`Run node scripts/build.js; the page will be at ${personPath(person)}`);
+})().catch(err => {
+  // a missing --abstract-file, say, or an unreadable people.json
+  console.error(err.message);
+  process.exit(1);
+});
@@ -6,6 +6,11 @@
 
 const fs = require('fs');
 const path = require('path');
+const { auditPage } = require('./lib/a11y');
+const { dropEmptyParagraphs } = require('./lib/html');
+const { isListed, isDraft, personPath } = require('./lib/status');
+const { loadPeople } = require('./lib/content');
+const { SITE_URL } = require('./lib/site');
 
 const ROOT = path.join(__dirname, '..');
 const OUTPUT = path.join(ROOT, '_output');
@@ -30,28 +35,59 @@ function warn(msg) {
 // Load data
 // ---------------------------------------------------------------------------
 
-const people = JSON.parse(fs.readFileSync(path.join(SRC, 'data', 'people.json'), 'utf8'));
+const { people } = loadPeople(SRC);
 const categories = JSON.parse(fs.readFileSync(path.join(SRC, 'data', 'categories.json'), 'utf8'));
 
+// Unlisted and draft people have pages but appear in no listing
+const listed = people.filter(isListed);
+const hidden = people.filter(p => !isListed(p));
+const hiddenPostIds = new Set(hidden.map(p => p.post_id));
+
 // ---------------------------------------------------------------------------
 // 1. Check all person pages exist
 // ---------------------------------------------------------------------------
 
 console.log('Checking person pages...');
 people.forEach(p => {
-  const filePath = path.join(OUTPUT, p.slug, 'index.html');
-  check(fs.existsSync(filePath), `Missing: ${p.slug}/index.html`);
+  const pagePath = personPath(p).slice(1);
+  const filePath = path.join(OUTPUT, pagePath, 'index.html');
+  check(fs.existsSync(filePath), `Missing: ${pagePath}index.html`);
+  if (isDraft(p)) {
+    check(!fs.existsSync(path.join(OUTPUT, p.slug)), `${p.slug}: draft is published at /${p.slug}/`);
+  }
 
   if (fs.existsSync(filePath)) {
     const html = fs.readFileSync(filePath, 'utf8');
+    if (!isListed(p)) {
+      check(html.includes('<meta name="robots" content="noindex" />'), `${p.slug}: ${p.status} page is missing noindex`);
+    }
+    check(html.includes('class="col-md-12 preview-banner"') === isDraft(p),
+      `${p.slug}: preview banner ${isDraft(p) ? 'missing' : 'shown on a published page'}`);
     check(html.includes(p.name), `${p.slug}: name "${p.name}" not found in output`);
     check(html.includes(p.hero_image), `${p.slug}: hero image "${p.hero_image}" not found in output`);
     check(html.includes(p.thumbnail), `${p.slug}: thumbnail "${p.thumbnail}" not found in output`);
-    if (p.interview_content.length > 100) {
-      // Check a snippet of interview content is present
-      const snippet = p.interview_content.substring(0, 80);
-      check(html.includes(snippet), `${p.slug}: interview content not found in output`);
-    }
+    // Question ids and self-links are the only additions to the stored
+    // interview HTML and empty paragraphs the only removals; with the ids
+    // stripped the whole cleaned-up interview should be there
+    const content = html
+      .replace(/ <a class="question-anchor"[^>]*>#<\/a>/g, '')
+      .replace(/<(p|div) id="[^"]*"/g, '<$1');
+    check(content.includes(dropEmptyParagraphs(p.interview_content)), `${p.slug}: interview content not found in output`);
+    const ids = new Set([...html.matchAll(/\sid="([^"]+)"/g)].map(m => m[1]));
+    [...html.matchAll(/href="#([^"]+)"/g)].forEach(m => {
+      check(ids.has(m[1]), `${p.slug}: link to #${m[1]} has no matching id`);
+    });
+    check(/class="reading-time">\d+ min read</.test(html), `${p.slug}: reading time missing`);
+
+    // people.json runs newest first, and "previous" is the older interview
+    // after this one, as the WordPress links were
+    const idx = listed.indexOf(p);
+    const expected = { prev: listed[idx + 1], next: idx > 0 ? listed[idx - 1] : undefined };
+    ['prev', 'next'].forEach(rel => {
+      const link = new RegExp(`<link rel="${rel}" title="[^"]*" href="/([^"/]+)/" />`).exec(html);
+      const want = idx !== -1 && expected[rel] ? expected[rel].slug : null;
+      check((link ? link[1] : null) === want, `${p.slug}: rel="${rel}" is ${link ? link[1] : 'missing'}, expected ${want || 'none'}`);
+    });
   }
 });
 
@@ -66,13 +102,28 @@ categories.forEach(cat => {
 
   if (fs.existsSync(filePath)) {
     const html = fs.readFileSync(filePath, 'utf8');
+    check(html.includes(`<link rel="canonical" href="${SITE_URL}/category/${cat.slug}/" />`),
+      `category/${cat.slug}: missing canonical link`);
     // Check that all expected people are in this category page
     cat.post_ids.forEach(pid => {
-      check(html.includes(`id="post-${pid}"`), `category/${cat.slug}: missing post-${pid}`);
+      if (hiddenPostIds.has(pid)) {
+        check(!html.includes(`id="post-${pid}"`), `category/${cat.slug}: lists unlisted or draft post-${pid}`);
+      } else {
+        check(html.includes(`id="post-${pid}"`), `category/${cat.slug}: missing post-${pid}`);
+      }
     });
   }
 });
 
+const categoryIndexPath = path.join(OUTPUT, 'category', 'index.html');
+check(fs.existsSync(categoryIndexPath), 'Missing: category/index.html');
+if (fs.existsSync(categoryIndexPath)) {
+  const html = fs.readFileSync(categoryIndexPath, 'utf8');
+  categories.forEach(cat => {
+    check(html.includes(`href="/category/${cat.slug}/"`), `category/index.html: no link to /category/${cat.slug}/`);
+  });
+}
+
 // ---------------------------------------------------------------------------
 // 3. Check static pages exist
 // ---------------------------------------------------------------------------
@@ -81,19 +132,142 @@ console.log('Checking static pages...');
 check(fs.existsSync(path.join(OUTPUT, 'index.html')), 'Missing: index.html');
 check(fs.existsSync(path.join(OUTPUT, 'about', 'index.html')), 'Missing: about/index.html');
 check(fs.existsSync(path.join(OUTPUT, 'submit', 'index.html')), 'Missing: submit/index.html');
+check(fs.existsSync(path.join(OUTPUT, 'submit', 'thanks', 'index.html')), 'Missing: submit/thanks/index.html');
+check(fs.existsSync(path.join(OUTPUT, 'search', 'index.html')), 'Missing: search/index.html');
+check(fs.existsSync(path.join(OUTPUT, 'quotes', 'index.html')), 'Missing: quotes/index.html');
+check(fs.existsSync(path.join(OUTPUT, 'origins', 'index.html')), 'Missing: origins/index.html');
+check(fs.existsSync(path.join(OUTPUT, 'timeline', 'index.html')), 'Missing: timeline/index.html');
+check(fs.existsSync(path.join(OUTPUT, '404.html')), 'Missing: 404.html');
 check(fs.existsSync(path.join(OUTPUT, 'favicon.ico')), 'Missing: favicon.ico');
 check(fs.existsSync(path.join(OUTPUT, 'robots.txt')), 'Missing: robots.txt');
 
+// ---------------------------------------------------------------------------
+// 3a. Check question pages link to questions that exist
+// ---------------------------------------------------------------------------
+
+console.log('Checking question pages...');
+const questionsDir = path.join(OUTPUT, 'questions');
+check(fs.existsSync(path.join(questionsDir, 'index.html')), 'Missing: questions/index.html');
+if (fs.existsSync(questionsDir)) {
+  const personIds = {};
+  fs.readdirSync(questionsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(entry => {
+      const html = fs.readFileSync(path.join(questionsDir, entry.name, 'index.html'), 'utf8');
+      [...html.matchAll(/class="read-more" href="\/([^/"]+)\/#([^"]+)"/g)].forEach(([, slug, id]) => {
+        const pageFile = path.join(OUTPUT, slug, 'index.html');
+        if (!personIds[slug] && fs.existsSync(pageFile)) {
+          personIds[slug] = new Set([...fs.readFileSync(pageFile, 'utf8').matchAll(/\sid="([^"]+)"/g)].map(m => m[1]));
+        }
+        check(personIds[slug] && personIds[slug].has(id), `questions/${entry.name}: link to /${slug}/#${id} has no matching id`);
+      });
+    });
+}
+
+// ---------------------------------------------------------------------------
+// 3b. Check client-side data files
+// ---------------------------------------------------------------------------
+
+console.log('Checking client-side data...');
+const searchIndexPath = path.join(OUTPUT, 'data', 'search-index.json');
+check(fs.existsSync(path.join(OUTPUT, 'data', 'category-index.json')), 'Missing: data/category-index.json');
+const galleryIndexPath = path.join(OUTPUT, 'data', 'gallery-index.json');
+check(fs.existsSync(galleryIndexPath), 'Missing: data/gallery-index.json');
+if (fs.existsSync(galleryIndexPath)) {
+  const galleryIndex = JSON.parse(fs.readFileSync(galleryIndexPath, 'utf8'));
+  listed.forEach(p => {
+    check(galleryIndex.people[p.post_id], `data/gallery-index.json: missing post ${p.post_id} (${p.slug})`);
+  });
+  // every place the origins page links to has to be a facet the gallery knows
+  const originSlugs = new Set();
+  galleryIndex.origins.forEach(country => {
+    originSlugs.add(country.slug);
+    country.regions.forEach(region => originSlugs.add(region.slug));
+  });
+  const originsPagePath = path.join(OUTPUT, 'origins', 'index.html');
+  if (fs.existsSync(originsPagePath)) {
+    const originsPage = fs.readFileSync(originsPagePath, 'utf8');
+    [...originsPage.matchAll(/href="\/\?origin=([^"]+)"/g)].forEach(m => {
+      check(originSlugs.has(m[1]), `origins/index.html: /?origin=${m[1]} is not a gallery facet`);
+    });
+  }
+}
+const quotesPath = path.join(OUTPUT, 'data', 'quotes.json');
+const quotesPagePath = path.join(OUTPUT, 'quotes', 'index.html');
+check(fs.existsSync(quotesPath), 'Missing: data/quotes.json');
+if (fs.existsSync(quotesPath) && fs.existsSync(quotesPagePath)) {
+  const quoteCount = JSON.parse(fs.readFileSync(quotesPath, 'utf8')).quotes.length;
+  const cardCount = (fs.readFileSync(quotesPagePath, 'utf8').match(/class="quote-card"/g) || []).length;
+  check(cardCount === quoteCount, `quotes/index.html shows ${cardCount} quotes, data/quotes.json has ${quoteCount}`);
+}
+check(fs.existsSync(searchIndexPath), 'Missing: data/search-index.json');
+if (fs.existsSync(searchIndexPath)) {
+  const searchIndex = JSON.parse(fs.readFileSync(searchIndexPath, 'utf8'));
+  check(searchIndex.docs.length === listed.length, `Search index has ${searchIndex.docs.length} docs, expected ${listed.length}`);
+  listed.forEach(p => {
+    check(fs.existsSync(path.join(OUTPUT, 'data', 'search', `${p.slug}.json`)), `Missing: data/search/${p.slug}.json`);
+  });
+  hidden.forEach(p => {
+    check(!fs.existsSync(path.join(OUTPUT, 'data', 'search', `${p.slug}.json`)), `data/search/${p.slug}.json exists for a ${p.status} person`);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// 3c. Check feeds
+// ---------------------------------------------------------------------------
+
+console.log('Checking feeds...');
+const feedDirs = ['feed'].concat(categories.map(cat => path.join('category', cat.slug, 'feed')));
+feedDirs.forEach(dir => {
+  ['rss.xml', 'atom.xml', 'feed.json'].forEach(name => {
+    check(fs.existsSync(path.join(OUTPUT, dir, name)), `Missing: ${dir}/${name}`);
+  });
+});
+const jsonFeedPath = path.join(OUTPUT, 'feed', 'feed.json');
+if (fs.existsSync(jsonFeedPath)) {
+  const jsonFeed = JSON.parse(fs.readFileSync(jsonFeedPath, 'utf8'));
+  check(jsonFeed.items.length === listed.length, `feed/feed.json has ${jsonFeed.items.length} items, expected ${listed.length}`);
+  jsonFeed.items.filter(item => !item.date_published).forEach(item => {
+    warn(`feed/feed.json: ${item.url} has no parseable interview date`);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// 3d. Check sitemap
+// ---------------------------------------------------------------------------
+
+console.log('Checking sitemap...');
+const sitemapPath = path.join(OUTPUT, 'sitemap.xml');
+check(fs.existsSync(sitemapPath), 'Missing: sitemap.xml');
+if (fs.existsSync(sitemapPath)) {
+  const sitemap = fs.readFileSync(sitemapPath, 'utf8');
+  listed.forEach(p => {
+    check(sitemap.includes(`/${p.slug}/</loc>`), `sitemap.xml missing: /${p.slug}/`);
+  });
+  hidden.forEach(p => {
+    check(!sitemap.includes(`/${p.slug}/</loc>`), `sitemap.xml lists ${p.status} ${personPath(p)}`);
+  });
+  check(sitemap.includes('/category/</loc>'), 'sitemap.xml missing: /category/');
+  categories.forEach(cat => {
+    check(sitemap.includes(`/category/${cat.slug}/</loc>`), `sitemap.xml missing: /category/${cat.slug}/`);
+  });
+}
+const robots = fs.readFileSync(path.join(OUTPUT, 'robots.txt'), 'utf8');
+check(/^Sitemap: \S+\/sitemap\.xml$/m.test(robots), 'robots.txt has no Sitemap line');
+
 // ---------------------------------------------------------------------------
 // 4. Check homepage has all people
 // ---------------------------------------------------------------------------
 
 console.log('Checking homepage completeness...');
 const homepageHtml = fs.readFileSync(path.join(OUTPUT, 'index.html'), 'utf8');
-people.forEach(p => {
+listed.forEach(p => {
   check(homepageHtml.includes(`id="post-${p.post_id}"`), `Homepage missing: post-${p.post_id} (${p.slug})`);
   check(homepageHtml.includes(`href="/${p.slug}/"`), `Homepage missing link to: ${p.slug}`);
 });
+hidden.forEach(p => {
+  check(!homepageHtml.includes(`id="post-${p.post_id}"`), `Homepage lists ${p.status} post-${p.post_id} (${p.slug})`);
+});
 
 // ---------------------------------------------------------------------------
 // 5. Check asset files referenced in HTML exist
@@ -172,6 +346,39 @@ htmlFiles.forEach(file => {
   if (html.includes('s3-us-west-2')) warn(`${relFile} still references s3-us-west-2`);
 });
 
+// ---------------------------------------------------------------------------
+// 8. Check per-page metadata
+// ---------------------------------------------------------------------------
+
+console.log('Checking page metadata...');
+const pagesByTitle = {};
+htmlFiles.forEach(file => {
+  const html = fs.readFileSync(file, 'utf8');
+  const relFile = path.relative(OUTPUT, file);
+  // inline SVGs have <title>s of their own; only the document's counts
+  const head = html.slice(0, html.indexOf('</head>'));
+  const titles = head.match(/<title>[^<]*<\/title>/g) || [];
+  check(titles.length === 1, `${relFile} has ${titles.length} <title> tags`);
+  check(/<link rel="canonical" href="https?:\/\/[^"]+"/.test(html), `${relFile} has no absolute canonical link`);
+  check(html.includes('<meta name="description"'), `${relFile} has no meta description`);
+  if (titles.length) {
+    (pagesByTitle[titles[0]] = pagesByTitle[titles[0]] || []).push(relFile);
+  }
+});
+Object.entries(pagesByTitle).forEach(([title, files]) => {
+  if (files.length > 1) warn(`${files.length} pages share ${title}: ${files.join(', ')}`);
+});
+
+// ---------------------------------------------------------------------------
+// 9. Accessibility audit
+// ---------------------------------------------------------------------------
+
+console.log('Checking accessibility...');
+htmlFiles.forEach(file => {
+  const relFile = path.relative(OUTPUT, file);
+  auditPage(fs.readFileSync(file, 'utf8')).forEach(problem => check(false, `${relFile}: ${problem}`));
+});
+
 // ---------------------------------------------------------------------------
 // Summary
 // ---------------------------------------------------------------------------